@@ -0,0 +1,172 @@
+/**
+ * @module background script - activityLog
+ */
+'use strict';
+
+/**
+ * Defines the maximum number of entries in the activity log. The oldest entries are removed first.
+ */
+const maxLogEntries = 10000;
+
+/**
+ * Defines how long entries stay in the activity log (30 days).
+ */
+const logRetention = daysToMilliseconds(30);
+
+/**
+ * Defines after how many new entries the activity log gets pruned again.
+ */
+const logPruneInterval = 100;
+
+/**
+ * Holds the number of entries which have been added since the activity log was pruned.
+ */
+var logEntriesSincePrune = 0;
+
+/**
+ * Saves an action in the activity log and sends it to the working page. An entry looks like this:
+ * { id, time, tabId, url, host, toUrl, type, details }
+ *
+ * @param {Object} request The status message (see updateStatus and logStatus).
+ * @param {Object} [sender] The sender of the status message (undefined for the background script).
+ */
+function recordAction(request, sender) {
+	if (!data.availableActionTypes.hasOwnProperty(request.type))
+		return; // Not a status message
+
+	var entry = {
+		time: (new Date).getTime(),
+		tabId: sender != undefined && sender.tab != undefined ? sender.tab.id : -1,
+		url: stripPlaceholder(request.url),
+		host: request.url != undefined && request.url.startsWith('http') ? getKeyFromUrl(request.url) : '',
+		toUrl: stripPlaceholder(request.toUrl),
+		type: request.type,
+		details: stripPlaceholder(request.searchTerm)
+	};
+
+	redactLogEntry(entry);
+	updateLastAction(entry.tabId, entry);
+
+	var broadcast = () => {
+		chrome.runtime.sendMessage({
+			type: 'logEntry',
+			entry: entry
+		}, response => {
+			chrome.runtime.lastError; // The working page might not be open, nothing to do then
+		});
+	};
+
+	if (database == undefined) { // Database not initialized yet, so we can only show the entry
+		broadcast();
+		return;
+	}
+
+	var req = database.transaction('log', 'readwrite').objectStore('log').add(entry);
+	req.onsuccess = event => {
+		entry.id = req.result;
+		broadcast();
+
+		if (++logEntriesSincePrune >= logPruneInterval)
+			pruneLog();
+	};
+}
+
+/**
+ * Returns the value of a status message without the placeholder for empty values ('&ndash;').
+ *
+ * @param {string} value The value of the status message.
+ */
+function stripPlaceholder(value) {
+	return value == undefined || value == '&ndash;' ? '' : `${value}`;
+}
+
+/**
+ * Removes everything from an entry of the activity log which might reveal a sensitive search
+ * term, as the log is kept for a long time and can be exported. Entries about sensitive topics
+ * keep only the topic and the origin of the site.
+ *
+ * @param {Object} entry The entry of the activity log.
+ */
+function redactLogEntry(entry) {
+	if (entry.type != data.availableActionTypes.SENSITIVE)
+		return;
+
+	entry.details = sensitiveTopics.hasOwnProperty(entry.details) ? entry.details : '';
+	entry.url = entry.url.startsWith('http') ? new URL(entry.url).origin : '';
+	entry.toUrl = '';
+}
+
+/**
+ * Removes the entries of the activity log which are older than the retention time and the oldest
+ * entries beyond the maximum number of entries.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function pruneLog(callback) {
+	logEntriesSincePrune = 0;
+
+	var transaction = database.transaction('log', 'readwrite');
+	var store = transaction.objectStore('log');
+	var cutoff = (new Date).getTime() - logRetention;
+
+	store.index('time').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = event => {
+		var cursor = event.target.result;
+		if (cursor != null) {
+			cursor.delete();
+			cursor.continue();
+			return;
+		}
+
+		// The ids increase, so the entries with the lowest ids are the oldest ones
+		var count = store.count();
+		count.onsuccess = event => {
+			var excess = count.result - maxLogEntries;
+			if (excess <= 0)
+				return;
+
+			store.openCursor().onsuccess = event => {
+				var cursor = event.target.result;
+				if (cursor != null && excess-- > 0) {
+					cursor.delete();
+					cursor.continue();
+				}
+			};
+		};
+	};
+
+	transaction.oncomplete = event => {
+		typeof callback === 'function' && callback();
+	};
+}
+
+/**
+ * Returns the entries of the activity log which match a filter (ordered by time).
+ *
+ * @param {Object} filter The filter: { types: [types], host, site, from, to }. The host matches
+ * every entry whose host contains it, the site only the entries of exactly this key (as returned by
+ * getKeyFromUrl). Empty or undefined properties match every entry.
+ * @param {function} callback Mandatory callback function with the entries as parameter.
+ */
+function getLogEntries(filter, callback) {
+	var from = filter.from != undefined ? filter.from : 0;
+	var to = filter.to != undefined ? filter.to : Number.MAX_SAFE_INTEGER;
+	var types = filter.types != undefined ? filter.types : [];
+	var host = filter.host != undefined ? filter.host.trim().toLowerCase() : '';
+
+	// The entries of a single site or type are read with their index instead of the whole time range
+	var store = database.transaction('log', 'readonly').objectStore('log');
+	var req;
+	if (filter.site != undefined)
+		req = store.index('host').getAll(IDBKeyRange.only(filter.site));
+	else if (types.length == 1)
+		req = store.index('type').getAll(IDBKeyRange.only(types[0]));
+	else
+		req = store.index('time').getAll(IDBKeyRange.bound(from, to));
+
+	req.onsuccess = event => {
+		callback(req.result.filter(entry => {
+			return entry.time >= from && entry.time <= to
+				&& (types.length == 0 || types.includes(entry.type)) && entry.host.includes(host);
+		}).sort((a, b) => a.time - b.time));
+	};
+}
\ No newline at end of file
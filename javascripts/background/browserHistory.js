@@ -8,24 +8,46 @@
  */
 var maxVisits = 1;
 
+/**
+ * Holds the parameters of the log-normal distribution of the time (in seconds) the user stays on
+ * a page. Gets estimated from the browser history, the default has a median of 15 seconds.
+ */
+var dwellModel = {
+	mu: Math.log(15),
+	sigma: 0.5
+};
+
+/**
+ * Defines the maximum gap (in milliseconds) between two visits such that we consider the gap as
+ * time spent on the first page. Longer gaps are most likely breaks.
+ */
+const maxDwellGap = 30 * 60 * 1000;
+
 /**
  * Gets the browser history to establish connections to sites which have already been visited.
+ * If the engine gets stopped in the meantime, the run gives up without touching the database or
+ * the queue again and the callback is not called (see stopEngine).
  * 
+ * @param {number} run The run of the engine which loads the browser history (see engineRun).
  * @param {function} [callback] Optional callback function.
  */
-function loadBrowserHistory(callback) {
+function loadBrowserHistory(run, callback) {
 	clearDatabase('visits', () => {
-		saveVisitsFromBrowserHistory(callback);
+		if (run == engineRun)
+			saveVisitsFromBrowserHistory(run, callback);
 	});
 }
 
 /**
- * Saves all visits in the defined interval in the database.
+ * Saves all visits in the defined interval in the database and plans the decoy visits. Every
+ * step checks that the run is still the current one, because the database requests of an old run
+ * would mix with the ones of a new run, which clears the visits again.
  * 
+ * @param {number} run The run of the engine which loads the browser history (see engineRun).
  * @param {function} [callback] Optional callback function.
  */
-function saveVisitsFromBrowserHistory(callback) {
-	var tmpQueue = [];
+function saveVisitsFromBrowserHistory(run, callback) {
+	var tmpQueue = [], visitTimes = [], hostVisits = {};
 	chrome.history.search({
 		'text': '', // All entries
 		'startTime': startTime
@@ -41,29 +63,39 @@ function saveVisitsFromBrowserHistory(callback) {
 			chrome.history.getVisits({
 				url: item.url
 			}, results => {
+				if (run != engineRun) // Stopped, give up
+					return;
+
 				// Update number of max. visits (because we want to visit all sites equally often)
-				var count = results.filter(e => e.visitTime >= startTime).length;
+				var visits = results.filter(e => e.visitTime >= startTime);
+				var count = visits.length;
+				visitTimes.push(...visits.map(e => e.visitTime));
+
 				if (maxVisits < count)
 					maxVisits = count;
 
+				// Several urls belong to the same site
+				var key = getKeyFromUrl(item.url);
+				hostVisits[key] = (hostVisits[key] != undefined ? hostVisits[key] : 0) + count;
+
 				tmpQueue.push([removeParamsFromUrl(item.url), count]); // Add to processing queue
 
-				storeInDatabase('visits', getKeyFromUrl(item.url), count, false, () => {
+				storeInDatabase('visits', key, count, false, () => {
 					inCallback();
 				});
 			});
 		}, () => {
-			// Sort by visit count
-			tmpQueue.sort((a, b) => a[1] - b[1]);
+			if (run != engineRun) // Stopped, give up
+				return;
 
-			// Insert urls into the real queue in sorted order
-			for (const entry of tmpQueue) {
-				if (entry[1] < maxVisits)
-					queue.push(entry[0]);
-			}
-			
-			// Remove duplicates
-			queue = queue.filter((item, pos, self) => self.indexOf(item) == pos);
+			estimateDwellModel(visitTimes);
+			countRealVisits(hostVisits);
+
+			// Insert the planned decoy visits of the sites which the policy allows into the real queue
+			queue = queue.concat(planDecoyVisits(tmpQueue.filter(entry => passesPolicy(entry[0]))));
+
+			// Visit the preferred sites of the active persona first
+			prioritizePersonaSites();
 
 			if (debug)
 				console.log(`Initial queue = ${queue}`);
@@ -71,4 +103,36 @@ function saveVisitsFromBrowserHistory(callback) {
 			typeof callback === 'function' && callback();
 		}, 0);
 	});
+}
+
+/**
+ * Estimates the distribution of the time the user stays on a page. We assume that the gap
+ * between two consecutive visits is the time spent on the first page and fit a log-normal
+ * distribution to these gaps.
+ * 
+ * @param {number[]} visitTimes The times of all visits in the interval (in milliseconds).
+ */
+function estimateDwellModel(visitTimes) {
+	visitTimes.sort((a, b) => a - b);
+
+	var logGaps = [];
+	for (var i = 1; i < visitTimes.length; i++) {
+		var gap = visitTimes[i] - visitTimes[i - 1];
+		if (gap >= 1000 && gap <= maxDwellGap) // Ignore redirects and breaks
+			logGaps.push(Math.log(gap / 1000));
+	}
+
+	if (logGaps.length < 10) // Not enough data, keep the default
+		return;
+
+	var mu = logGaps.reduce((sum, val) => sum + val, 0) / logGaps.length;
+	var variance = logGaps.reduce((sum, val) => sum + (val - mu) * (val - mu), 0) / logGaps.length;
+
+	dwellModel = {
+		mu: mu,
+		sigma: Math.sqrt(variance)
+	};
+
+	if (debug)
+		console.log(`Dwell model = ${JSON.stringify(dwellModel)}`);
 }
\ No newline at end of file
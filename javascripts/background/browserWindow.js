@@ -19,6 +19,24 @@ var currentTabs = [];
  */
 var specialTabs = [];
 
+/**
+ * Frees the slot of a tab which has been closed, such that a new tab can be opened. The tab is
+ * either a decoy tab or a tab which finds out search parameters.
+ * 
+ * @param {number} tabId The id of the closed tab.
+ */
+function releaseTab(tabId) {
+	for (const tabArray of [currentTabs, specialTabs]) {
+		var index = tabArray.findIndex(elem => elem.id == tabId);
+		if (index >= 0) {
+			tabArray[index] = {
+				id: -1
+			};
+			return;
+		}
+	}
+}
+
 /**
  * Creates the hidden window and starts the application. It also updates the value of the variable
  * windowId, so we can access the window at any time. Note: This function gets only called,
@@ -53,17 +71,6 @@ function createWindow() {
 	});
 }
 
-/**
- * Opens the extension options page whenever the user clicks on the extension icon.
- */
-function addBrowserAction() {
-	chrome.browserAction.onClicked.addListener(() => {
-		chrome.tabs.create({
-			url: chrome.runtime.getURL("./html/extensionPage.html")
-		});
-	});
-}
-
 /**
  * Adds listener to the window which execute when the window gets closed.
  */
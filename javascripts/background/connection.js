@@ -8,30 +8,79 @@
  */
 var queue = [];
 
+/**
+ * Defines the seed for simulated user interactions in debug mode, such that every visit can be
+ * reproduced. Otherwise, every tab gets a random seed.
+ */
+const debugSeed = 311;
+
+/**
+ * Holds the timer of the connection loop (undefined if the loop does not run).
+ */
+var connectLoopTimer;
+
 /**
  * Starts the application: Creates fake connections in the hidden window and removes the tabs
  * when finished. The selected algorithm defines what exactly these fake connections do.
  */
 function runApplication() {
-	// 1. Load browser history; 2. Load search terms; 3. Start connection loop
-	loadBrowserHistory(() => {
-		loadSearchTerms(startConnectLoop);
+	var run = engineRun;
+
+	// 1. Load personas; 2. Load browser history; 3. Load search terms; 4. Start connection loop
+	// A stop in the meantime starts a new run, then the old run gives up (see stopEngine)
+	setEngineState(engineStates.LOADING_HISTORY);
+	loadPersonas(() => {
+		if (run != engineRun)
+			return;
+
+		loadBrowserHistory(run, () => {
+			setEngineState(engineStates.LOADING_TERMS);
+			loadSearchTerms(() => {
+				if (run != engineRun)
+					return;
+
+				setEngineState(engineStates.RUNNING);
+				startConnectLoop();
+			});
+		});
 	});
 }
 
 /**
- * Repeats connecting to webpages.
+ * Repeats connecting to webpages. Nothing happens, if the loop is already running.
  */
 function startConnectLoop() {
-	setTimeout(() => {
-		// Continue while limit not reached and queue not empty.
-		if ((todayCount < connectionLimit) && queue.length > 0) {
+	if (connectLoopTimer != undefined)
+		return;
+
+	connectLoopTimer = setTimeout(() => {
+		connectLoopTimer = undefined;
+
+		// Paused or stopped, resumeEngine starts the loop again
+		if (engineState != engineStates.RUNNING)
+			return;
+
+		if (todayCount >= connectionLimit) {
+			setEngineState(engineStates.LIMIT_REACHED);
+			return;
+		}
+
+		// Continue while queue not empty.
+		if (queue.length > 0) {
 			connectToUrl(queue.shift());
 			startConnectLoop();
 		}
 	}, Math.floor(10000 * Math.random() + 10000)); // 10-20 seconds
 }
 
+/**
+ * Stops the connection loop.
+ */
+function stopConnectLoop() {
+	clearTimeout(connectLoopTimer);
+	connectLoopTimer = undefined;
+}
+
 /**
  * Creates a fake connection to a given url.
  * We open the given url in a new tab in our hidden browser window.
@@ -41,21 +90,34 @@ function startConnectLoop() {
 function connectToUrl(url) {
 	getFromDatabase('visits', getKeyFromUrl(url), result => {
 		// Do not visit a page too many times and do not visit the extension page
-		// (does not start with http)
-		if (result == undefined || !url.startsWith('http') || result.value[0] >= maxVisits) {
+		// (does not start with http), unless the user wants to camouflage it right now
+		var requested = takeRequestedUrl(url);
+		var visits = result != undefined ? result.value[0] : 0;
+		if (!url.startsWith('http') || (!requested && (result == undefined || visits >= maxVisits))) {
 			return;
 		}
 
+		// Do not visit sites which the policy blocks (see policy.js)
+		if (!passesPolicy(url))
+			return;
+
 		// If the tab limit is reached, wait until we can open a new tab again
 		var waiting = setInterval(() => {
-			if (tabLimit > currentTabs.reduce((n, val) => n + (val.id != -1), 0)) {
+			// Stopped: forget the url; paused: keep waiting until the engine gets resumed
+			if (engineState == engineStates.IDLE) {
+				clearInterval(waiting);
+				return;
+			}
+
+			if (engineState == engineStates.RUNNING &&
+				tabLimit > currentTabs.reduce((n, val) => n + (val.id != -1), 0)) {
 				// If we can open a new tab, stop waiting and do not repeat anything
 				clearInterval(waiting);
 
-				// Visit urls from the history again until we visited all of them equally often.
-				storeInDatabase('visits', getKeyFromUrl(url), result.value[0] + 1, false);
+				storeInDatabase('visits', getKeyFromUrl(url), visits + 1, false);
 
-				if (result.value[0] + 1 < maxVisits)
+				// Queue the next planned visit of this url (see planDecoyVisits)
+				if (takePlannedVisit(url) && !queue.includes(url))
 					queue.push(url);
 
 				chrome.tabs.create({
@@ -64,12 +126,41 @@ function connectToUrl(url) {
 					url: url,
 					active: false
 				}, tab => {
+					if (chrome.runtime.lastError) { // E.g. the hidden window has been closed
+						setToolbarError('No tab could be opened');
+						return;
+					}
+
 					todayCount++;
+					countDecoyVisit(url);
 					tab.isNew = true; // We need this to execute content scripts only once
 					tab.type = 'execAlgo';
+					tab.strategy = chooseStrategy();
+					tab.seed = debug ? debugSeed : Math.floor(Math.random() * 4294967296);
+					tab.startUrl = url;
+					tab.startTime = (new Date).getTime();
 					currentTabs[currentTabs.findIndex(elem => elem.id == -1)] = tab;
+					setToolbarError('');
 				});
 			}
 		}, 3000); // Check all 3 seconds if a new tab can be opened
 	});
+}
+
+/**
+ * Chooses the camouflage strategy for a new tab. Each strategy is chosen with a probability
+ * proportional to its weight.
+ */
+function chooseStrategy() {
+	var names = Object.keys(strategyWeights).filter(name => strategyWeights[name] > 0);
+	var sum = names.reduce((n, name) => n + strategyWeights[name], 0);
+
+	var random = Math.random() * sum;
+	for (const name of names) {
+		random -= strategyWeights[name];
+		if (random < 0)
+			return name;
+	}
+
+	return data.availableStrategies[0]; // All weights are zero, use the default strategy
 }
\ No newline at end of file
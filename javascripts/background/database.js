@@ -11,14 +11,16 @@ var database;
 /**
  * Creates a database, if no database exists yet. Saves the database in the dedicated variable.
  * The database contains the following tables:
- * searchTerms:      searchParams:    thirdParties:               visits:
- * url | keywords    url | params     url | thirdPartyRequests    url | visitCount
+ * searchTerms:      searchParams:          thirdParties:               visits:
+ * url | termRecords url | urlTemplate      url | thirdPartyRequests    url | visitCount
+ * suggestionCache:  log:
+ * url | suggestions id | time | tabId | url | host | toUrl | type | details
  * 
  * @param {function} [callback] Optional callback function.
  */
 function initDatabase(callback) {
 	if ('indexedDB' in window) {
-		var requestDB = window.indexedDB.open('database', 4);
+		var requestDB = window.indexedDB.open('database', 8);
 
 		requestDB.onupgradeneeded = event => {
 			database = requestDB.result;
@@ -30,6 +32,26 @@ function initDatabase(callback) {
 					});
 				}
 			}
+
+			// Version 8 added the activity log (see activityLog.js), which has its own key and indexes
+			if (!database.objectStoreNames.contains('log')) {
+				var log = database.createObjectStore('log', {
+					keyPath: 'id',
+					autoIncrement: true
+				});
+				log.createIndex('time', 'time');
+				log.createIndex('type', 'type');
+				log.createIndex('host', 'host');
+			}
+
+			// Version 5 replaced search parameter names by search url templates
+			if (event.oldVersion > 0 && event.oldVersion < 5)
+				migrateSearchParams(requestDB.transaction.objectStore('searchParams'));
+
+			// Version 7 replaced the plain search terms by term records (see searchTermStore.js). The
+			// plain terms were collected again on every start anyway, so we simply drop them.
+			if (event.oldVersion > 0 && event.oldVersion < 7)
+				requestDB.transaction.objectStore('searchTerms').clear();
 		};
 
 		requestDB.onsuccess = event => {
@@ -39,6 +61,41 @@ function initDatabase(callback) {
 	}
 }
 
+/**
+ * Converts the entries of the searchParams objectStore from search parameter names (e.g. 'q') to
+ * search url templates (e.g. '?q={searchTerms}'). Entries marked as not searchable stay the same.
+ * 
+ * @param {Object} store The searchParams objectStore (inside of the upgrade transaction).
+ */
+function migrateSearchParams(store) {
+	store.openCursor().onsuccess = event => {
+		var cursor = event.target.result;
+		if (cursor == null)
+			return;
+
+		var value = cursor.value.value[0];
+		if (typeof value === 'string' && value != '') {
+			cursor.update({
+				url: cursor.value.url,
+				value: [{
+					template: paramToTemplate(value),
+					source: 'probe'
+				}]
+			});
+		} else if (value != undefined && value.param != undefined) {
+			cursor.update({
+				url: cursor.value.url,
+				value: [{
+					template: paramToTemplate(value.param),
+					source: value.source
+				}]
+			});
+		}
+
+		cursor.continue();
+	};
+}
+
 /**
  * Adds new entries to our indexedDB database.
  * 
@@ -67,6 +124,32 @@ function storeInDatabase(objectStore, key, val, append = true, callback) {
 	};
 }
 
+/**
+ * Updates the value of a given key inside of a single transaction, such that concurrent updates
+ * do not get lost.
+ * 
+ * @param {Object} objectStore The table we want to update.
+ * @param {string} key The key of the item we want to update/add.
+ * @param {function} update Function which gets the current value (an empty array, if the key does
+ * not exist yet) and returns the new value.
+ * @param {function} [callback] Optional callback function, executed after updating the database.
+ */
+function updateInDatabase(objectStore, key, update, callback) {
+	var store = database.transaction(objectStore, 'readwrite').objectStore(objectStore);
+	var req = store.get(key);
+
+	req.onsuccess = event => {
+		var put = store.put({
+			url: key,
+			value: update(req.result != undefined ? req.result.value : [])
+		});
+
+		put.onsuccess = event => {
+			typeof callback === 'function' && callback();
+		};
+	};
+}
+
 /**
  * Returns the value for a given key from our indexedDB database.
  * 
@@ -96,6 +179,26 @@ function getAllDatabaseEntries(objectStore, callback) {
 	};
 }
 
+/**
+ * Removes entries from a given table in the database.
+ * 
+ * @param {Object} objectStore The objectStore from which we want to remove the entries.
+ * @param {string[]} keys The keys of the entries.
+ * @param {function} [callback] Optional callback function.
+ */
+function removeFromDatabase(objectStore, keys, callback) {
+	var transaction = database.transaction(objectStore, 'readwrite');
+	var store = transaction.objectStore(objectStore);
+
+	for (const key of keys) {
+		store.delete(key);
+	}
+
+	transaction.oncomplete = event => {
+		typeof callback === 'function' && callback();
+	};
+}
+
 /**
  * Clears a given table in the database.
  * 
@@ -0,0 +1,159 @@
+/**
+ * @module background script - decoyTerms
+ */
+'use strict';
+
+/**
+ * Defines how often the generator tries to find a decoy term before it gives up.
+ */
+const maxDecoyAttempts = 20;
+
+/**
+ * Holds a regular expression for every category (category as key), which matches the words of
+ * this category in a term. The categories are the sensitive topics (including the disabled ones)
+ * plus the topics of the offline word list.
+ */
+var categoryPatterns = {};
+
+/**
+ * Compiles the categories which are used to measure the distance between terms. The word list
+ * and the sensitive topics have to be loaded before.
+ */
+function loadDecoyCategories() {
+	var categories = Object.assign({}, sensitiveTopics, wordList);
+
+	categoryPatterns = {};
+	for (const category of Object.keys(categories)) {
+		var pattern = compileWordPattern(categories[category]);
+		if (pattern != null)
+			categoryPatterns[category] = pattern;
+	}
+}
+
+/**
+ * Generates a decoy term for a given term entirely offline. The decoy has as many words as the
+ * term and belongs to a topic which is far from the term in meaning. Returns an empty string, if
+ * no such decoy could be found.
+ *
+ * @param {string} original The term for which we want a decoy.
+ */
+function generateDecoyTerm(original) {
+	for (var i = 0; i < maxDecoyAttempts; i++) {
+		var candidates = getOfflineSuggestions(original);
+		if (candidates == null)
+			return '';
+
+		var decoy = candidates.find(candidate => {
+			return isValid(original, candidate) && !isSensitiveTerm(candidate);
+		});
+		if (decoy != undefined)
+			return decoy;
+	}
+
+	return '';
+}
+
+/**
+ * Checks if a candidate is far enough from the original term in meaning, i.e., its distance is at
+ * least the threshold chosen by the user.
+ *
+ * @param {string} original The original term.
+ * @param {string} candidate The candidate to be checked.
+ */
+function isSemanticallyDistant(original, candidate) {
+	return termDistance(original, candidate) >= decoyDistanceThreshold;
+}
+
+/**
+ * Returns the distance between two terms, between 0 (same meaning) and 1 (unrelated). Terms are
+ * close if they belong to the same categories (e.g. 'diabetes' and 'insulin') or if they contain
+ * similar words (e.g. 'symptoms' and 'symptom').
+ *
+ * @param {string} term The first term.
+ * @param {string} otherTerm The second term.
+ */
+function termDistance(term, otherTerm) {
+	var categorySimilarity = cosineSimilarity(getCategoryVector(term), getCategoryVector(otherTerm));
+
+	var wordSimilarity = 0;
+	for (const word of normalizeWords(term)) {
+		for (const otherWord of normalizeWords(otherTerm)) {
+			wordSimilarity = Math.max(wordSimilarity, trigramSimilarity(word, otherWord));
+		}
+	}
+
+	return 1 - Math.max(categorySimilarity, wordSimilarity);
+}
+
+/**
+ * Returns how many words of a term belong to each category (category as key).
+ *
+ * @param {string} term The term.
+ */
+function getCategoryVector(term) {
+	var vector = {};
+	term = normalizeTerm(term);
+
+	for (const category of Object.keys(categoryPatterns)) {
+		var matches = term.match(categoryPatterns[category]);
+		if (matches != null)
+			vector[category] = matches.length;
+	}
+
+	return vector;
+}
+
+/**
+ * Returns the cosine similarity of two sparse vectors (0, if one of them is empty).
+ *
+ * @param {Object} vector The first vector.
+ * @param {Object} otherVector The second vector.
+ */
+function cosineSimilarity(vector, otherVector) {
+	var dot = 0, norm = 0, otherNorm = 0;
+
+	for (const key of Object.keys(vector)) {
+		dot += otherVector[key] != undefined ? vector[key] * otherVector[key] : 0;
+		norm += vector[key] * vector[key];
+	}
+	for (const key of Object.keys(otherVector)) {
+		otherNorm += otherVector[key] * otherVector[key];
+	}
+
+	return norm > 0 && otherNorm > 0 ? dot / Math.sqrt(norm * otherNorm) : 0;
+}
+
+/**
+ * Returns the similarity of two words based on their character trigrams (Jaccard index).
+ *
+ * @param {string} word The first word.
+ * @param {string} otherWord The second word.
+ */
+function trigramSimilarity(word, otherWord) {
+	var trigrams = getTrigrams(word);
+	var otherTrigrams = getTrigrams(otherWord);
+
+	var shared = trigrams.filter(trigram => otherTrigrams.includes(trigram)).length;
+	var union = trigrams.length + otherTrigrams.length - shared;
+
+	return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Returns the distinct character trigrams of a word (padded with spaces, so the beginning and the
+ * end of the word count as well).
+ *
+ * @param {string} word The word.
+ */
+function getTrigrams(word) {
+	var padded = ` ${word} `;
+	var trigrams = [];
+
+	for (var i = 0; i < padded.length - 2; i++) {
+		var trigram = padded.substring(i, i + 3);
+		if (!trigrams.includes(trigram))
+			trigrams.push(trigram);
+	}
+
+	return trigrams;
+}
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * @module background script - engine
+ */
+'use strict';
+
+/**
+ * Defines the states of the camouflage engine:
+ * IDLE: nothing happens (before the start and after a stop),
+ * LOADING_HISTORY: the browser history gets loaded and the decoy visits get planned,
+ * LOADING_TERMS: the search terms get collected from the browser history,
+ * RUNNING: decoy tabs get opened,
+ * PAUSED: no new tabs get opened, but the open tabs finish their strategy,
+ * LIMIT_REACHED: the connection limit for today has been reached.
+ */
+const engineStates = {
+	IDLE: 'IDLE',
+	LOADING_HISTORY: 'LOADING_HISTORY',
+	LOADING_TERMS: 'LOADING_TERMS',
+	RUNNING: 'RUNNING',
+	PAUSED: 'PAUSED',
+	LIMIT_REACHED: 'LIMIT_REACHED'
+};
+
+/**
+ * Defines the entries of the context menu of the toolbar button and in which states they are
+ * enabled.
+ */
+const engineMenuItems = {
+	engineStart: {
+		title: 'Start FPFool',
+		states: [engineStates.IDLE]
+	},
+	enginePause: {
+		title: 'Pause FPFool',
+		states: [engineStates.RUNNING]
+	},
+	engineResume: {
+		title: 'Resume FPFool',
+		states: [engineStates.PAUSED, engineStates.LIMIT_REACHED]
+	},
+	engineStop: {
+		title: 'Stop FPFool',
+		states: [engineStates.LOADING_HISTORY, engineStates.LOADING_TERMS, engineStates.RUNNING,
+			engineStates.PAUSED, engineStates.LIMIT_REACHED]
+	}
+};
+
+/**
+ * Holds the current state of the engine.
+ */
+var engineState = engineStates.IDLE;
+
+/**
+ * Counts the runs of the engine. A stop starts a new run, so the loading steps of an old run
+ * know that they have to give up.
+ */
+var engineRun = 0;
+
+/**
+ * Changes the state of the engine and tells every extension page about it.
+ *
+ * @param {string} state The new state (see engineStates).
+ */
+function setEngineState(state) {
+	engineState = state;
+
+	if (debug)
+		console.log(`Engine state = ${state}`);
+
+	updateEngineMenu();
+	updateToolbar();
+
+	chrome.runtime.sendMessage({
+		type: 'engineState',
+		state: state
+	}, response => {
+		chrome.runtime.lastError; // No extension page might be open, nothing to do then
+	});
+}
+
+/**
+ * Starts the engine, if it is idle (see runApplication).
+ */
+function startEngine() {
+	if (engineState == engineStates.IDLE)
+		runApplication();
+}
+
+/**
+ * Pauses the engine. The open tabs finish their strategy, but no new tabs get opened.
+ */
+function pauseEngine() {
+	if (engineState == engineStates.RUNNING)
+		setEngineState(engineStates.PAUSED);
+}
+
+/**
+ * Resumes the paused engine. After the connection limit has been reached, the engine only
+ * continues if the limit has been raised in the meantime (see startConnectLoop).
+ */
+function resumeEngine() {
+	if (engineState != engineStates.PAUSED && engineState != engineStates.LIMIT_REACHED)
+		return;
+
+	setEngineState(engineStates.RUNNING);
+	startConnectLoop();
+}
+
+/**
+ * Stops the engine: closes the open tabs and empties the queue. The engine can be started again,
+ * which loads the browser history and the search terms again.
+ */
+function stopEngine() {
+	if (engineState == engineStates.IDLE)
+		return;
+
+	engineRun++;
+	setEngineState(engineStates.IDLE);
+	stopConnectLoop();
+	queue = [];
+	plannedVisits = {};
+
+	for (const tab of currentTabs.concat(specialTabs)) {
+		if (tab.id != -1)
+			endTab(tab.id);
+	}
+}
+
+/**
+ * Adds the context menu of the toolbar button, which controls the engine.
+ */
+function addEngineMenu() {
+	for (const id of Object.keys(engineMenuItems)) {
+		chrome.contextMenus.create({
+			id: id,
+			title: engineMenuItems[id].title,
+			contexts: ['browser_action'],
+			enabled: engineMenuItems[id].states.includes(engineState)
+		});
+	}
+
+	chrome.contextMenus.onClicked.addListener(info => {
+		switch (info.menuItemId) {
+			case 'engineStart':
+				startEngine();
+				break;
+			case 'enginePause':
+				pauseEngine();
+				break;
+			case 'engineResume':
+				resumeEngine();
+				break;
+			case 'engineStop':
+				stopEngine();
+				break;
+			default:
+				return; // Not an entry of the engine
+		}
+	});
+}
+
+/**
+ * Enables the entries of the context menu which are applicable in the current state.
+ */
+function updateEngineMenu() {
+	for (const id of Object.keys(engineMenuItems)) {
+		chrome.contextMenus.update(id, {
+			enabled: engineMenuItems[id].states.includes(engineState)
+		}, () => {
+			chrome.runtime.lastError; // The menu might not have been created yet
+		});
+	}
+}
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * @module background script - interestProfile
+ */
+'use strict';
+
+/**
+ * Holds the path to the bundled site categories.
+ */
+const siteCategoriesPath = '../data/siteCategories.json';
+
+/**
+ * Defines the category of sites which do not belong to any known category.
+ */
+const otherSiteCategory = 'other';
+
+/**
+ * Defines how many interest profiles are kept for reporting.
+ */
+const maxInterestProfiles = 30;
+
+/**
+ * Defines how much more weight the categories of the active persona get in the persona-shaped
+ * target distribution than all other categories.
+ */
+const personaTargetWeight = 3;
+
+/**
+ * Holds the domains of every site category (category as key).
+ */
+var siteCategoryDomains = {};
+
+/**
+ * Holds a regular expression for every site category (category as key), which matches the
+ * keywords of this category in the words of an url.
+ */
+var siteCategoryPatterns = {};
+
+/**
+ * Holds how many decoy visits of every url are still planned (url as key, see planDecoyVisits).
+ */
+var plannedVisits = {};
+
+/**
+ * Loads the bundled site categories. The topics of the offline word list are site categories as
+ * well, so the word list has to be loaded before.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadSiteCategories(callback) {
+	fetch(siteCategoriesPath).then(response => response.json()).then(json => {
+		siteCategoryDomains = {};
+		siteCategoryPatterns = {};
+		for (const category of Object.keys(Object.assign({}, json.categories, wordList))) {
+			var bundled = json.categories[category] != undefined ?
+				json.categories[category] : { domains: [], keywords: [] };
+			var words = wordList[category] != undefined ? wordList[category] : [];
+			siteCategoryDomains[category] = bundled.domains;
+
+			var pattern = compileWordPattern(bundled.keywords.concat(words));
+			if (pattern != null)
+				siteCategoryPatterns[category] = pattern;
+		}
+
+		typeof callback === 'function' && callback();
+	});
+}
+
+/**
+ * Returns the category of the site behind an url. Known domains are looked up first, otherwise
+ * the category with the most keywords in the hostname and the path wins.
+ *
+ * @param {string} url The url of the site.
+ */
+function getSiteCategory(url) {
+	var host = getKeyFromUrl(url).substring('www.'.length);
+
+	for (const category of Object.keys(siteCategoryDomains)) {
+		if (siteCategoryDomains[category].some(domain => host == domain || host.endsWith(`.${domain}`)))
+			return category;
+	}
+
+	var path = url.startsWith('http') ? new URL(url).pathname : '';
+	var words = normalizeTerm(`${host} ${path}`.replace(/[.\-_/]+/g, ' '));
+
+	var best = otherSiteCategory, bestCount = 0;
+	for (const category of Object.keys(siteCategoryPatterns)) {
+		var matches = words.match(siteCategoryPatterns[category]);
+		if (matches != null && matches.length > bestCount) {
+			best = category;
+			bestCount = matches.length;
+		}
+	}
+
+	return best;
+}
+
+/**
+ * Returns the interest distribution of a number of visits, i.e., the share of the visits of
+ * every category (category as key).
+ *
+ * @param {Object} counts The number of visits of every category (category as key).
+ */
+function getInterestDistribution(counts) {
+	var total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+	var distribution = {};
+
+	for (const category of Object.keys(counts)) {
+		distribution[category] = total > 0 ? counts[category] / total : 0;
+	}
+
+	return distribution;
+}
+
+/**
+ * Returns the entropy (in bits) of an interest distribution. The lower the entropy, the more
+ * concentrated the interests are, i.e., the easier they are to read from the visits.
+ *
+ * @param {Object} distribution The interest distribution (category as key).
+ */
+function getEntropy(distribution) {
+	return Object.values(distribution).reduce((sum, p) => p > 0 ? sum - p * Math.log2(p) : sum, 0);
+}
+
+/**
+ * Returns the distribution the decoy visits should push the interest profile towards. Decoys can
+ * only visit sites from the browser history, so only the categories of these sites are part of it.
+ *
+ * @param {string[]} categories The categories of the sites in the browser history.
+ */
+function getTargetDistribution(categories) {
+	var persona = flatteningTarget == 'persona' ? getActivePersona() : undefined;
+	var weights = {};
+
+	for (const category of categories) {
+		weights[category] = persona != undefined && persona.categories.includes(category) ?
+			personaTargetWeight : 1;
+	}
+
+	return getInterestDistribution(weights);
+}
+
+/**
+ * Plans the decoy visits to the sites of the browser history according to the flattening target
+ * chosen by the user and saves the interest profile before and after these visits. No site gets
+ * more visits than the most visited site (see maxVisits). Returns the urls which get visited at
+ * least once, the least visited first. Every url appears only once, its further visits get queued
+ * one after another (see takePlannedVisit), so the sites take turns.
+ *
+ * @param {Object[]} entries The sites of the browser history as [url, visits] pairs.
+ */
+function planDecoyVisits(entries) {
+	var sitesByUrl = {};
+	for (const entry of entries) { // Urls might appear more than once
+		if (sitesByUrl[entry[0]] == undefined)
+			sitesByUrl[entry[0]] = { url: entry[0], visits: entry[1], category: getSiteCategory(entry[0]) };
+		else
+			sitesByUrl[entry[0]].visits = Math.max(sitesByUrl[entry[0]].visits, entry[1]);
+	}
+	var sites = Object.values(sitesByUrl);
+
+	var counts = {};
+	for (const site of sites) {
+		counts[site.category] = (counts[site.category] != undefined ? counts[site.category] : 0);
+		counts[site.category] += site.visits;
+	}
+	var before = getInterestDistribution(counts);
+
+	plannedVisits = flatteningTarget == 'visits' ? planEqualVisits(sites) : planTargetVisits(sites, counts);
+
+	for (const site of sites) {
+		counts[site.category] += plannedVisits[site.url];
+	}
+	saveInterestProfile(before, getInterestDistribution(counts));
+
+	return sites.filter(site => plannedVisits[site.url] > 0)
+		.sort((a, b) => a.visits - b.visits)
+		.map(site => site.url);
+}
+
+/**
+ * Counts a decoy visit of an url against its planned visits. Returns true, if further visits of
+ * the url are planned, i.e., the url has to be queued again.
+ *
+ * @param {string} url The visited url.
+ */
+function takePlannedVisit(url) {
+	if (!(plannedVisits[url] > 0))
+		return false;
+
+	plannedVisits[url]--;
+	return plannedVisits[url] > 0;
+}
+
+/**
+ * Plans the decoy visits such that every site gets visited as often as the most visited site.
+ * Returns the number of decoy visits of every site (url as key).
+ *
+ * @param {Object[]} sites The sites of the browser history.
+ */
+function planEqualVisits(sites) {
+	var planned = {};
+
+	for (const site of sites) {
+		planned[site.url] = Math.max(maxVisits - site.visits, 0);
+	}
+
+	return planned;
+}
+
+/**
+ * Plans the decoy visits such that the interest profile gets as close as possible to the target
+ * distribution. Every category gets enough visits to reach its target share of the final number
+ * of visits, as far as its sites allow it. Categories which are already above their share get no
+ * visits. Within a category, the least visited sites get the visits (see fillSiteVisits). Returns
+ * the number of decoy visits of every site (url as key).
+ *
+ * @param {Object[]} sites The sites of the browser history.
+ * @param {Object} counts The number of visits of every category (category as key).
+ */
+function planTargetVisits(sites, counts) {
+	var target = getTargetDistribution(Object.keys(counts));
+	var capacity = {};
+	for (const site of sites) {
+		capacity[site.category] = (capacity[site.category] != undefined ? capacity[site.category] : 0);
+		capacity[site.category] += Math.max(maxVisits - site.visits, 0);
+	}
+
+	// The number of visits every category has, if the final number of visits is total
+	var share = (category, total) => {
+		return Math.min(Math.max(target[category] * total, counts[category]),
+			counts[category] + capacity[category]);
+	};
+	var fill = total => Object.keys(counts).reduce((sum, category) => sum + share(category, total), 0);
+
+	// The more visits in total, the further the filled categories fall behind. So we search for
+	// the smallest total which the categories do not exceed.
+	var low = Object.values(counts).reduce((sum, count) => sum + count, 0);
+	var high = low + Object.values(capacity).reduce((sum, count) => sum + count, 0);
+	while (low < high) {
+		var middle = Math.floor((low + high) / 2);
+		if (fill(middle) <= middle)
+			high = middle;
+		else
+			low = middle + 1;
+	}
+
+	var planned = {};
+	for (const category of Object.keys(counts)) {
+		var visits = Math.round(share(category, low) - counts[category]);
+		Object.assign(planned, fillSiteVisits(sites.filter(site => site.category == category), visits));
+	}
+
+	return planned;
+}
+
+/**
+ * Distributes a number of decoy visits to sites, such that the least visited sites get the visits
+ * and no site gets more visits than the most visited site. Returns the number of decoy visits of
+ * every site (url as key).
+ *
+ * @param {Object[]} sites The sites of a category.
+ * @param {number} visits The number of decoy visits.
+ */
+function fillSiteVisits(sites, visits) {
+	var planned = {};
+	var below = level => sites.reduce((sum, site) => sum + Math.max(level - site.visits, 0), 0);
+
+	// Find the highest level up to which all sites can be filled
+	var low = 0, high = maxVisits;
+	while (low < high) {
+		var middle = Math.ceil((low + high) / 2);
+		if (below(middle) <= visits)
+			low = middle;
+		else
+			high = middle - 1;
+	}
+
+	var left = visits - below(low);
+	for (const site of sites.slice().sort((a, b) => a.visits - b.visits)) {
+		planned[site.url] = Math.max(low - site.visits, 0);
+
+		// The rest lifts some of the sites one level higher
+		if (left > 0 && site.visits <= low && low < maxVisits) {
+			planned[site.url]++;
+			left--;
+		}
+	}
+
+	return planned;
+}
+
+/**
+ * Saves an interest profile (before and after the planned decoy visits) in the local storage, so
+ * it can be shown to the user. Only the latest profiles are kept.
+ *
+ * @param {Object} before The interest distribution of the browser history.
+ * @param {Object} after The interest distribution after the planned decoy visits.
+ * @param {function} [callback] Optional callback function.
+ */
+function saveInterestProfile(before, after, callback) {
+	chrome.storage.local.get('interestProfiles', result => {
+		var profiles = result.interestProfiles != undefined ? result.interestProfiles : [];
+
+		profiles.push({
+			time: (new Date).getTime(),
+			target: flatteningTarget,
+			before: before,
+			beforeEntropy: getEntropy(before),
+			after: after,
+			afterEntropy: getEntropy(after)
+		});
+
+		if (debug)
+			console.log(`Interest profile = ${JSON.stringify(profiles[profiles.length - 1])}`);
+
+		chrome.storage.local.set({
+			interestProfiles: profiles.slice(-maxInterestProfiles)
+		}, () => {
+			typeof callback === 'function' && callback();
+		});
+	});
+}
\ No newline at end of file
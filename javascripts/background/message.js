@@ -18,6 +18,9 @@ function addMessageListener() {
 				handleSendInfo(request, sender, sendResponse);
 				break;
 			default:
+				// Status updates of the content scripts (see updateStatus)
+				countAction(request);
+				recordAction(request, sender);
 				return; // Don't answer unknown messages
 		}
 
@@ -37,6 +40,30 @@ function handleGetInfo(request, sender, sendResponse) {
 		case 'searchTerm':
 			answerSearchTerm(request, sender, sendResponse);
 			break;
+		case 'engineState':
+			answerEngineState(request, sender, sendResponse);
+			break;
+		case 'logEntries':
+			answerLogEntries(request, sender, sendResponse);
+			break;
+		case 'monitor':
+			answerMonitor(request, sender, sendResponse);
+			break;
+		case 'personas':
+			answerPersonas(request, sender, sendResponse);
+			break;
+		case 'policy':
+			answerPolicy(request, sender, sendResponse);
+			break;
+		case 'recipes':
+			answerRecipes(request, sender, sendResponse);
+			break;
+		case 'siteDetails':
+			answerSiteDetails(request, sender, sendResponse);
+			break;
+		case 'statistics':
+			answerStatistics(request, sender, sendResponse);
+			break;
 		case 'type':
 			answerType(request, sender, sendResponse);
 			break;
@@ -44,20 +71,32 @@ function handleGetInfo(request, sender, sendResponse) {
 }
 
 /**
- * Sends a search term to the requesting content script.
+ * Sends a search term to the requesting content script (together with the url which searches
+ * the site for this term, if we know the search url template of the site).
  * 
  * @param {Object} request The message which was received.
  * @param {Object} sender The sender of the received message.
  * @param {function} sendResponse Callback function to send a response.
  */
 function answerSearchTerm(request, sender, sendResponse) {
-	getFromDatabase('searchTerms', getKeyFromUrl(request.url), result => {
-		var term = '';
-		if (result != undefined) {
-			term = result.value[Math.floor(Math.random() * result.value.length)][0];
-			getSuggestion(term, response => {
-				sendResponse({
-					searchTerm: response
+	var key = getKeyFromUrl(request.url);
+
+	getFromDatabase('searchTerms', key, result => {
+		var record = result != undefined ? sampleSearchTerm(result.value) : undefined;
+		if (record != undefined) {
+			// Decoys are drawn from the active persona to form a consistent profile
+			getPersonaSuggestion(record.term, getActivePersona(), response => {
+				if (response != '')
+					countDecoy(key, record.term);
+
+				getFromDatabase('searchParams', key, params => {
+					var template = params != undefined ? getSearchTemplate(params) : '';
+
+					sendResponse({
+						searchTerm: response,
+						searchUrl: template != '' && response != '' ?
+							buildSearchUrl(template, response, sender.tab.url) : ''
+					});
 				});
 			});
 		} else {
@@ -68,6 +107,121 @@ function answerSearchTerm(request, sender, sendResponse) {
 	});
 }
 
+/**
+ * Sends the current state of the engine to the requesting extension page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerEngineState(request, sender, sendResponse) {
+	sendResponse({
+		state: engineState
+	});
+}
+
+/**
+ * Sends the entries of the activity log which match the filter of the request to the working page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerLogEntries(request, sender, sendResponse) {
+	getLogEntries(request.filter, entries => {
+		sendResponse({
+			entries: entries
+		});
+	});
+}
+
+/**
+ * Sends the open tabs and the queue to the monitor on the working page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerMonitor(request, sender, sendResponse) {
+	sendResponse(getMonitorState());
+}
+
+/**
+ * Sends the personas, the id of the active persona and the available interest categories to the
+ * extension page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerPersonas(request, sender, sendResponse) {
+	var active = getActivePersona();
+
+	sendResponse({
+		personas: personas,
+		activeId: active != undefined ? active.id : undefined,
+		categories: Object.keys(wordList)
+	});
+}
+
+/**
+ * Sends the rules of the policy and the built-in categories to the extension page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerPolicy(request, sender, sendResponse) {
+	sendResponse(getPolicy());
+}
+
+/**
+ * Sends the recipes imported by the user and the hostnames of the bundled recipes to the
+ * extension page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerRecipes(request, sender, sendResponse) {
+	sendResponse({
+		userRecipes: userRecipes,
+		bundledHosts: Object.keys(bundledRecipes)
+	});
+}
+
+/**
+ * Sends the details of a site to the extension page (see getSiteDetails).
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerSiteDetails(request, sender, sendResponse) {
+	getSiteDetails(request.host, details => {
+		sendResponse(details);
+	});
+}
+
+/**
+ * Sends the statistics to the extension page: the real and decoy visits of every site, the daily
+ * counts, the searches and the trackers which have seen decoy traffic.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerStatistics(request, sender, sendResponse) {
+	getSiteStatistics(sites => {
+		sendResponse({
+			sites: sites,
+			dailyCounts: dailyCounts.concat([[todayCount, (new Date).getTime()]]),
+			searches: statistics.searches,
+			trackers: statistics.trackers
+		});
+	});
+}
+
 /**
  * Tells the requesting content script which type of action it should perform.
  * 
@@ -84,6 +238,12 @@ function answerType(request, sender, sendResponse) {
 	if (senderTab != undefined) {
 		response.disconnect = !senderTab.isNew; // Disconnect after action
 		response.type = senderTab.type;
+		response.strategy = senderTab.strategy;
+		response.strategyWeights = strategyWeights;
+		response.strategyState = senderTab.strategyState;
+		response.seed = senderTab.seed;
+		response.dwellModel = dwellModel;
+		response.recipe = senderTab.type == 'execAlgo' ? getRecipe(request.url) : undefined;
 		senderTab.isNew = false;
 
 		if (senderTab.dummySearchTerm != undefined) {
@@ -103,21 +263,130 @@ function answerType(request, sender, sendResponse) {
  */
 function handleSendInfo(request, sender, sendResponse) {
 	switch (request.infoType) {
+		case 'addPolicyRule':
+			answerAddPolicyRule(request, sender, sendResponse);
+			break;
+		case 'blockDomain':
+			answerBlockDomain(request, sender, sendResponse);
+			break;
+		case 'camouflageSite':
+			answerCamouflageSite(request, sender, sendResponse);
+			break;
+		case 'continue':
+			answerContinue(request, sender, sendResponse);
+			break;
 		case 'disconnect':
 			answerDisconnect(request, sender, sendResponse);
 			break;
+		case 'endTab':
+			answerEndTab(request, sender, sendResponse);
+			break;
+		case 'engineControl':
+			answerEngineControl(request, sender, sendResponse);
+			break;
+		case 'excludeSite':
+			answerExcludeSite(request, sender, sendResponse);
+			break;
+		case 'importRecipes':
+			answerImportRecipes(request, sender, sendResponse);
+			break;
 		case 'incTodayCount':
 			answerIncTodayCount(request, sender, sendResponse);
 			break;
+		case 'moveQueueEntry':
+			answerMoveQueueEntry(request, sender, sendResponse);
+			break;
+		case 'regeneratePersonas':
+			answerRegeneratePersonas(request, sender, sendResponse);
+			break;
+		case 'removePolicyRule':
+			answerRemovePolicyRule(request, sender, sendResponse);
+			break;
+		case 'removeQueueEntry':
+			answerRemoveQueueEntry(request, sender, sendResponse);
+			break;
+		case 'removeRecipe':
+			answerRemoveRecipe(request, sender, sendResponse);
+			break;
 		case 'resize':
 			answerResize(request, sender, sendResponse);
 			break;
+		case 'savePersona':
+			answerSavePersona(request, sender, sendResponse);
+			break;
+		case 'skipTab':
+			answerSkipTab(request, sender, sendResponse);
+			break;
 		case 'urlParams':
 			answerUrlParams(request, sender, sendResponse);
 			break;
 	}
 }
 
+/**
+ * Adds a rule to the policy on request of the extension page and sends back an error message,
+ * which is empty if the rule has been added.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerAddPolicyRule(request, sender, sendResponse) {
+	addPolicyRule(request.rule, error => {
+		sendResponse({
+			error: error
+		});
+	});
+}
+
+/**
+ * Blocks the domain of a tab on request of the monitor on the working page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerBlockDomain(request, sender, sendResponse) {
+	blockTabDomain(request.tabId, () => {
+		sendResponse({}); // Just to close message channel
+	});
+}
+
+/**
+ * Puts a site at the front of the queue on request of the popup and sends back an error message,
+ * which is empty if the site has been queued.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerCamouflageSite(request, sender, sendResponse) {
+	camouflageSite(request.url, error => {
+		sendResponse({
+			error: error
+		});
+	});
+}
+
+/**
+ * Keeps the strategy of the requesting tab running on the next page (instead of disconnecting
+ * after the next page load). The state of the strategy is handed over to the next page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerContinue(request, sender, sendResponse) {
+	var senderTab = currentTabs.find(tab => tab.id == sender.tab.id);
+
+	if (senderTab != undefined) {
+		senderTab.isNew = true;
+		senderTab.strategyState = request.strategyState;
+	}
+
+	sendResponse({}); // Just to close message channel
+}
+
 /**
  * Removes the tab which requests a disconnect.
  * 
@@ -127,18 +396,83 @@ function handleSendInfo(request, sender, sendResponse) {
  */
 function answerDisconnect(request, sender, sendResponse) {
 	chrome.tabs.remove(sender.tab.id, () => {
-		var tabArray = currentTabs;
+		releaseTab(sender.tab.id);
+	});
 
-		if (!(currentTabs.findIndex(elem => elem.id == sender.tab.id) > 0)) {
-			tabArray = specialTabs;
-		}
+	sendResponse({}); // Just to close message channel
+}
 
-		tabArray[tabArray.findIndex(elem => elem.id == sender.tab.id)] = {
-			id: -1
-		};
+/**
+ * Ends a tab early on request of the monitor on the working page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerEndTab(request, sender, sendResponse) {
+	endTab(request.tabId, () => {
+		sendResponse({}); // Just to close message channel
 	});
+}
 
-	sendResponse({}); // Just to close message channel
+/**
+ * Starts, pauses, resumes or stops the engine on request of an extension page (the action of the
+ * request is 'start', 'pause', 'resume' or 'stop') and sends the new state back.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerEngineControl(request, sender, sendResponse) {
+	switch (request.action) {
+		case 'start':
+			startEngine();
+			break;
+		case 'pause':
+			pauseEngine();
+			break;
+		case 'resume':
+			resumeEngine();
+			break;
+		case 'stop':
+			stopEngine();
+			break;
+	}
+
+	sendResponse({
+		state: engineState
+	});
+}
+
+/**
+ * Excludes a site from the decoy visits on request of the popup and sends back an error message,
+ * which is empty if the site has been excluded.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerExcludeSite(request, sender, sendResponse) {
+	excludeSite(request.url, error => {
+		sendResponse({
+			error: error
+		});
+	});
+}
+
+/**
+ * Imports recipes sent by the extension page and answers with the validation errors (if any).
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerImportRecipes(request, sender, sendResponse) {
+	importRecipes(request.recipes, errors => {
+		sendResponse({
+			errors: errors
+		});
+	});
 }
 
 /**
@@ -150,12 +484,78 @@ function answerDisconnect(request, sender, sendResponse) {
  */
 function answerIncTodayCount(request, sender, sendResponse) {
 	todayCount++;
+	updateToolbar();
 	getFromDatabase('visits', getKeyFromUrl(request.url), result => {
-		storeInDatabase('visits', getKeyFromUrl(request.url), result.value[0] + 1, false);
+		// The site might not be in the browser history (e.g. a subdomain reached by a link)
+		var visits = result != undefined ? result.value[0] : 0;
+		storeInDatabase('visits', getKeyFromUrl(request.url), visits + 1, false);
 	});
 	sendResponse({}); // Just to close message channel
 }
 
+/**
+ * Moves an entry of the queue on request of the monitor on the working page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerMoveQueueEntry(request, sender, sendResponse) {
+	moveQueueEntry(request.index, request.url, request.to);
+	sendResponse({}); // Just to close message channel
+}
+
+/**
+ * Replaces all personas by newly generated ones.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerRegeneratePersonas(request, sender, sendResponse) {
+	generatePersonas(() => {
+		sendResponse({}); // Just to close message channel
+	});
+}
+
+/**
+ * Removes a rule from the policy on request of the extension page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerRemovePolicyRule(request, sender, sendResponse) {
+	removePolicyRule(request.rule, () => {
+		sendResponse({}); // Just to close message channel
+	});
+}
+
+/**
+ * Removes an entry of the queue on request of the monitor on the working page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerRemoveQueueEntry(request, sender, sendResponse) {
+	removeQueueEntry(request.index, request.url);
+	sendResponse({}); // Just to close message channel
+}
+
+/**
+ * Removes a recipe imported by the user.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerRemoveRecipe(request, sender, sendResponse) {
+	removeRecipe(request.host, () => {
+		sendResponse({}); // Just to close message channel
+	});
+}
+
 /**
  * Saves the window state when a content script signals that the window has been resized.
  * 
@@ -168,6 +568,32 @@ function answerResize(request, sender, sendResponse) {
 	sendResponse({}); // Just to close message channel
 }
 
+/**
+ * Saves a persona which was edited on the extension page (see updatePersona).
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerSavePersona(request, sender, sendResponse) {
+	updatePersona(request.persona, () => {
+		sendResponse({}); // Just to close message channel
+	});
+}
+
+/**
+ * Skips a tab (and all further visits of its url) on request of the monitor on the working page.
+ * 
+ * @param {Object} request The message which was received.
+ * @param {Object} sender The sender of the received message.
+ * @param {function} sendResponse Callback function to send a response.
+ */
+function answerSkipTab(request, sender, sendResponse) {
+	skipTab(request.tabId, () => {
+		sendResponse({}); // Just to close message channel
+	});
+}
+
 /**
  * Saves information about url search parameter for the requesting url.
  * 
@@ -0,0 +1,147 @@
+/**
+ * @module background script - monitor
+ */
+'use strict';
+
+/**
+ * Defines how many entries of the queue are sent to the monitor on the working page, since the
+ * queue might contain thousands of entries.
+ */
+const monitorQueueLimit = 30;
+
+/**
+ * Returns what is running right now: the open decoy tabs and the tabs which find out search
+ * parameters, together with the first entries of the queue and its length.
+ */
+function getMonitorState() {
+	var describe = (tab, kind) => ({
+		id: tab.id,
+		kind: kind,
+		url: tab.lastAction != undefined && tab.lastAction.url != '' ?
+			tab.lastAction.url : tab.startUrl,
+		strategy: tab.type == 'execAlgo' ? tab.strategy : tab.type,
+		startTime: tab.startTime,
+		lastAction: tab.lastAction
+	});
+
+	return {
+		tabs: currentTabs.filter(tab => tab.id != -1).map(tab => describe(tab, 'decoy'))
+			.concat(specialTabs.filter(tab => tab.id != -1).map(tab => describe(tab, 'probe'))),
+		queue: queue.slice(0, monitorQueueLimit),
+		queueLength: queue.length
+	};
+}
+
+/**
+ * Remembers the last action of a tab for the monitor on the working page.
+ *
+ * @param {number} tabId The id of the tab.
+ * @param {Object} entry The entry of the activity log (see recordAction).
+ */
+function updateLastAction(tabId, entry) {
+	var tab = currentTabs.concat(specialTabs).find(tab => tab.id == tabId);
+
+	if (tab != undefined) {
+		tab.lastAction = {
+			type: entry.type,
+			time: entry.time,
+			url: entry.url
+		};
+	}
+}
+
+/**
+ * Closes a tab before its strategy is done.
+ *
+ * @param {number} tabId The id of the tab.
+ * @param {function} [callback] Optional callback function.
+ */
+function endTab(tabId, callback) {
+	var tab = currentTabs.concat(specialTabs).find(tab => tab.id == tabId);
+	if (tab == undefined) {
+		typeof callback === 'function' && callback();
+		return;
+	}
+
+	chrome.tabs.remove(tabId, () => {
+		chrome.runtime.lastError; // The tab might have been closed in the meantime
+		releaseTab(tabId);
+		logStatus(tab.startUrl, 'REMOVE', 'Ended by the user', '&ndash;');
+
+		// Tabs which find out search parameters hold up the search term setup, so it continues
+		if (tab.type == 'getUrlParam' && typeof tab.callback === 'function') {
+			var probeCallback = tab.callback;
+			tab.callback = undefined;
+			probeCallback();
+		}
+
+		typeof callback === 'function' && callback();
+	});
+}
+
+/**
+ * Closes a tab and removes all further visits of its url from the queue.
+ *
+ * @param {number} tabId The id of the tab.
+ * @param {function} [callback] Optional callback function.
+ */
+function skipTab(tabId, callback) {
+	var tab = currentTabs.concat(specialTabs).find(tab => tab.id == tabId);
+
+	if (tab != undefined) {
+		queue = queue.filter(url => url != tab.startUrl);
+		delete plannedVisits[tab.startUrl];
+	}
+
+	endTab(tabId, callback);
+}
+
+/**
+ * Blocks the domain of a tab: closes the tab and adds a deny rule for the domain to the policy,
+ * so it never gets visited again (see policy.js).
+ *
+ * @param {number} tabId The id of the tab.
+ * @param {function} [callback] Optional callback function.
+ */
+function blockTabDomain(tabId, callback) {
+	var tab = currentTabs.concat(specialTabs).find(tab => tab.id == tabId);
+	if (tab == undefined) {
+		typeof callback === 'function' && callback();
+		return;
+	}
+
+	addPolicyRule({
+		action: 'deny',
+		type: 'glob',
+		value: getKeyFromUrl(tab.startUrl).substring('www.'.length)
+	}, error => {
+		endTab(tabId, callback);
+	});
+}
+
+/**
+ * Moves an entry of the queue to another position. Nothing happens, if the queue has changed in
+ * the meantime (i.e., the entry is not at the given position anymore).
+ *
+ * @param {number} index The position of the entry.
+ * @param {string} url The url of the entry.
+ * @param {number} to The new position of the entry.
+ */
+function moveQueueEntry(index, url, to) {
+	if (queue[index] != url || to < 0 || to >= queue.length)
+		return;
+
+	queue.splice(to, 0, queue.splice(index, 1)[0]);
+}
+
+/**
+ * Removes an entry from the queue. Nothing happens, if the queue has changed in the meantime
+ * (i.e., the entry is not at the given position anymore).
+ *
+ * @param {number} index The position of the entry.
+ * @param {string} url The url of the entry.
+ */
+function removeQueueEntry(index, url) {
+	if (queue[index] == url)
+		queue.splice(index, 1);
+}
\ No newline at end of file
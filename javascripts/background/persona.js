@@ -0,0 +1,193 @@
+/**
+ * @module background script - persona
+ */
+'use strict';
+
+/**
+ * Defines how many personas get generated.
+ */
+const personaCount = 3;
+
+/**
+ * Defines how many interest categories (topics of the offline word list) a persona has.
+ */
+const personaCategoryCount = 2;
+
+/**
+ * Defines how many words of its categories a persona uses for its queries.
+ */
+const personaVocabularySize = 20;
+
+/**
+ * Defines the maximum number of preferred sites of a persona.
+ */
+const personaSiteCount = 10;
+
+/**
+ * Defines how long a persona stays active (one week). Afterwards, the next persona takes over.
+ */
+const personaRotation = daysToMilliseconds(7);
+
+/**
+ * Holds the synthetic personas. Decoy activity is drawn from the active persona, such that the
+ * decoys form a consistent profile instead of random noise. A persona looks like this:
+ * { id, name, categories: [topics], vocabulary: [words], sites: [hosts] }
+ */
+var personas = [];
+
+/**
+ * Loads the personas from the local storage. If there are none yet, they get generated.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadPersonas(callback) {
+	chrome.storage.local.get('personas', result => {
+		if (result.personas != undefined && result.personas.length > 0) {
+			personas = result.personas;
+			typeof callback === 'function' && callback();
+		} else {
+			generatePersonas(callback);
+		}
+	});
+}
+
+/**
+ * Generates new personas and saves them in the local storage. Every persona gets its own
+ * categories and a share of the sites in the user's browser history.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function generatePersonas(callback) {
+	chrome.history.search({
+		text: '',
+		startTime: startTime,
+		maxResults: 1000
+	}, historyItems => {
+		var hosts = historyItems.filter(item => item.url.startsWith('http'));
+		hosts = hosts.map(item => getKeyFromUrl(item.url));
+		hosts = hosts.filter((item, pos, self) => self.indexOf(item) == pos);
+
+		// Every persona gets different categories (as long as there are enough topics)
+		var topics = shuffle(Object.keys(wordList));
+		personas = [];
+
+		for (var i = 0; i < personaCount; i++) {
+			var categories = [];
+			for (var j = 0; j < personaCategoryCount; j++) {
+				categories.push(topics[(i * personaCategoryCount + j) % topics.length]);
+			}
+
+			personas.push({
+				id: `persona${i}-${(new Date).getTime()}`,
+				name: categories.join(' & '),
+				categories: categories,
+				vocabulary: createPersonaVocabulary(categories),
+				sites: hosts.filter((host, index) => index % personaCount == i).slice(0, personaSiteCount)
+			});
+		}
+
+		savePersonas(callback);
+	});
+}
+
+/**
+ * Chooses the vocabulary of a persona from the words of its categories.
+ *
+ * @param {string[]} categories The categories (topics of the offline word list).
+ */
+function createPersonaVocabulary(categories) {
+	var vocabulary = [];
+	for (const category of categories) {
+		vocabulary = vocabulary.concat(wordList[category] != undefined ? wordList[category] : []);
+	}
+
+	return shuffle(vocabulary).slice(0, personaVocabularySize);
+}
+
+/**
+ * Replaces a persona by an edited version of it and saves the personas. If the categories have
+ * changed, the vocabulary gets chosen from the new categories. The preferred sites are turned
+ * into keys (see getKeyFromUrl), so they match the sites in the queue; invalid sites are dropped.
+ *
+ * @param {Object} persona The edited persona.
+ * @param {function} [callback] Optional callback function.
+ */
+function updatePersona(persona, callback) {
+	var index = personas.findIndex(elem => elem.id == persona.id);
+	if (index < 0) {
+		typeof callback === 'function' && callback();
+		return;
+	}
+
+	var categories = persona.categories.filter(category => wordList.hasOwnProperty(category));
+	var oldCategories = personas[index].categories;
+	var changed = categories.length != oldCategories.length ||
+		categories.some(category => !oldCategories.includes(category));
+
+	var sites = [];
+	for (const site of persona.sites) {
+		try {
+			sites.push(getKeyFromUrl(site));
+		} catch (err) { // Not a hostname, nothing to prefer
+			continue;
+		}
+	}
+
+	personas[index] = {
+		id: persona.id,
+		name: persona.name,
+		categories: categories,
+		vocabulary: changed ? createPersonaVocabulary(categories) : persona.vocabulary,
+		sites: sites.filter((item, pos, self) => self.indexOf(item) == pos).slice(0, personaSiteCount)
+	};
+
+	savePersonas(callback);
+}
+
+/**
+ * Saves the personas in the local storage.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function savePersonas(callback) {
+	chrome.storage.local.set({
+		personas: personas
+	}, () => {
+		typeof callback === 'function' && callback();
+	});
+}
+
+/**
+ * Returns the active persona (or undefined, if there is none). The personas take turns every
+ * week, so each of them stays consistent over a longer time.
+ */
+function getActivePersona() {
+	if (personas.length == 0)
+		return undefined;
+
+	return personas[Math.floor((new Date).getTime() / personaRotation) % personas.length];
+}
+
+/**
+ * Creates a query from the vocabulary of a persona with a given number of words.
+ *
+ * @param {Object} persona The persona.
+ * @param {number} length The number of words.
+ */
+function createPersonaQuery(persona, length) {
+	return shuffle(persona.vocabulary).slice(0, Math.max(length, 1)).join(' ');
+}
+
+/**
+ * Moves the preferred sites of the active persona to the front of the queue.
+ */
+function prioritizePersonaSites() {
+	var persona = getActivePersona();
+	if (persona == undefined)
+		return;
+
+	var preferred = queue.filter(url => persona.sites.includes(getKeyFromUrl(url)));
+	var others = queue.filter(url => !persona.sites.includes(getKeyFromUrl(url)));
+
+	queue = preferred.concat(others);
+}
\ No newline at end of file
@@ -0,0 +1,360 @@
+/**
+ * @module background script - policy
+ */
+'use strict';
+
+/**
+ * Defines the types of policy rules:
+ * glob: a hostname pattern with * (any characters) and ? (one character); a hostname without
+ * wildcards also matches its subdomains,
+ * regex: a regular expression which gets tested against the whole url,
+ * ip: an IPv4 address or range in CIDR notation (e.g. 10.0.0.0/8),
+ * category: a built-in category of rules (see policyCategories in data.json).
+ */
+const policyRuleTypes = ['glob', 'regex', 'ip', 'category'];
+
+/**
+ * Defines the rules which apply until the user changes them.
+ */
+const defaultPolicyRules = [
+	{ action: 'deny', type: 'category', value: 'finance' },
+	{ action: 'deny', type: 'category', value: 'health' },
+	{ action: 'deny', type: 'category', value: 'government' },
+	{ action: 'deny', type: 'category', value: 'privateNetwork' }
+];
+
+/**
+ * Defines the rule which blocks urls that can not be checked, because they are neither absolute
+ * urls nor hostnames.
+ */
+const uncheckableUrlRule = { action: 'deny', type: 'glob', value: '*' };
+
+/**
+ * Defines how long (in milliseconds) a blocked url is not recorded in the activity log again, as
+ * the same url might be checked several times in a row (e.g. for every third party request).
+ */
+const blockedLogInterval = 60 * 60 * 1000;
+
+/**
+ * Holds the rules of the policy. A rule looks like this: { action: 'allow'|'deny', type, value }.
+ * Allow rules are exceptions from the deny rules, i.e., an url is blocked if it matches a deny
+ * rule and no allow rule.
+ */
+var policyRules = [];
+
+/**
+ * Holds when each blocked url has been recorded in the activity log the last time.
+ */
+var blockedLogTimes = {};
+
+/**
+ * Loads the rules of the policy from the storage. The domains which have been blocked on the
+ * working page before the policy existed become deny rules.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadPolicy(callback) {
+	chrome.storage.sync.get(['policyRules', 'blockedDomains'], result => {
+		policyRules = result.policyRules != undefined ? result.policyRules : defaultPolicyRules.slice();
+
+		if (result.blockedDomains == undefined) {
+			typeof callback === 'function' && callback();
+			return;
+		}
+
+		for (const domain of result.blockedDomains) {
+			var rule = { action: 'deny', type: 'glob', value: domain };
+			if (!policyRules.some(elem => isSamePolicyRule(elem, rule)))
+				policyRules.push(rule);
+		}
+
+		chrome.storage.sync.remove('blockedDomains', () => {
+			savePolicy(callback);
+		});
+	});
+}
+
+/**
+ * Saves the rules of the policy and removes the urls which are blocked now from the queue.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function savePolicy(callback) {
+	queue = queue.filter(url => findBlockingRule(url) == undefined);
+
+	chrome.storage.sync.set({
+		policyRules: policyRules
+	}, () => {
+		typeof callback === 'function' && callback();
+	});
+}
+
+/**
+ * Adds a rule to the policy. The callback gets an error message, which is empty if the rule is
+ * valid and has been added.
+ *
+ * @param {Object} rule The rule: { action: 'allow'|'deny', type, value }.
+ * @param {function} [callback] Optional callback function with the error message as parameter.
+ */
+function addPolicyRule(rule, callback) {
+	var error = validatePolicyRule(rule);
+	if (error != '') {
+		typeof callback === 'function' && callback(error);
+		return;
+	}
+
+	var newRule = {
+		action: rule.action,
+		type: rule.type,
+		value: rule.type == 'regex' ? rule.value.trim() : rule.value.trim().toLowerCase()
+	};
+
+	if (!policyRules.some(elem => isSamePolicyRule(elem, newRule)))
+		policyRules.push(newRule);
+
+	savePolicy(() => {
+		typeof callback === 'function' && callback('');
+	});
+}
+
+/**
+ * Removes a rule from the policy.
+ *
+ * @param {Object} rule The rule: { action: 'allow'|'deny', type, value }.
+ * @param {function} [callback] Optional callback function.
+ */
+function removePolicyRule(rule, callback) {
+	policyRules = policyRules.filter(elem => !isSamePolicyRule(elem, rule));
+	savePolicy(callback);
+}
+
+/**
+ * Checks if two rules are the same.
+ *
+ * @param {Object} rule The first rule.
+ * @param {Object} otherRule The second rule.
+ */
+function isSamePolicyRule(rule, otherRule) {
+	return rule.action == otherRule.action && rule.type == otherRule.type && rule.value == otherRule.value;
+}
+
+/**
+ * Checks if a rule is well-formed. Returns an error message, which is empty if the rule is valid.
+ *
+ * @param {Object} rule The rule to check.
+ */
+function validatePolicyRule(rule) {
+	if (rule == null || typeof rule !== 'object')
+		return 'The rule is missing.';
+
+	if (rule.action != 'allow' && rule.action != 'deny')
+		return 'The action must be "allow" or "deny".';
+
+	if (!policyRuleTypes.includes(rule.type))
+		return `The type must be one of: ${policyRuleTypes.join(', ')}.`;
+
+	if (typeof rule.value !== 'string' || rule.value.trim() == '')
+		return 'The value is missing.';
+
+	switch (rule.type) {
+		case 'regex':
+			try {
+				new RegExp(rule.value.trim());
+			} catch (err) {
+				return `The regular expression is invalid (${err.message}).`;
+			}
+			break;
+		case 'ip':
+			if (parseIpRange(rule.value.trim()) == null)
+				return 'The IP range must look like 192.168.0.0/16 or 192.168.0.1.';
+			break;
+		case 'category':
+			if (!data.policyCategories.hasOwnProperty(rule.value.trim()))
+				return `Unknown category "${rule.value.trim()}".`;
+			break;
+	}
+
+	return '';
+}
+
+/**
+ * Returns the deny rule which blocks an url, or undefined if the url may be visited. Hostnames
+ * (e.g. the keys of the database, see getKeyFromUrl) are checked like the start page of the site.
+ * Everything else which can not be checked is blocked.
+ *
+ * @param {string} url The url to check.
+ */
+function findBlockingRule(url) {
+	if (typeof url !== 'string')
+		return uncheckableUrlRule;
+
+	var host;
+	try {
+		host = new URL(url).hostname.toLowerCase();
+	} catch (err) { // Not an absolute url, but maybe a hostname
+		try {
+			url = `https://${url}/`;
+			host = new URL(url).hostname.toLowerCase();
+		} catch (err) {
+			return uncheckableUrlRule;
+		}
+	}
+
+	if (policyRules.some(rule => rule.action == 'allow' && matchesPolicyRule(rule, url, host)))
+		return undefined;
+
+	return policyRules.find(rule => rule.action == 'deny' && matchesPolicyRule(rule, url, host));
+}
+
+/**
+ * Checks if an url may be visited. Blocked urls are recorded in the activity log.
+ *
+ * @param {string} url The url to check.
+ */
+function passesPolicy(url) {
+	var rule = findBlockingRule(url);
+	if (rule == undefined)
+		return true;
+
+	var now = (new Date).getTime();
+	if (blockedLogTimes[url] == undefined || now - blockedLogTimes[url] > blockedLogInterval) {
+		blockedLogTimes[url] = now;
+		logStatus(url, 'BLOCKED', `${rule.type}: ${rule.value}`, '&ndash;');
+	}
+
+	return false;
+}
+
+/**
+ * Checks if a rule matches an url.
+ *
+ * @param {Object} rule The rule.
+ * @param {string} url The url.
+ * @param {string} host The hostname of the url.
+ */
+function matchesPolicyRule(rule, url, host) {
+	switch (rule.type) {
+		case 'glob':
+			return matchesHostGlob(rule.value, host);
+		case 'regex':
+			try {
+				return new RegExp(rule.value, 'i').test(url);
+			} catch (err) { // Invalid rules can not be added, but the storage might be edited
+				return false;
+			}
+		case 'ip':
+			return matchesIpRange(rule.value, host);
+		case 'category':
+			var category = data.policyCategories[rule.value];
+			return category != undefined && category.rules.some(elem => matchesPolicyRule(elem, url, host));
+		default:
+			return false; // Unknown type
+	}
+}
+
+/**
+ * Checks if a hostname matches a glob. A glob without wildcards also matches the subdomains.
+ *
+ * @param {string} glob The glob, e.g. *.example.com or example.com.
+ * @param {string} host The hostname.
+ */
+function matchesHostGlob(glob, host) {
+	if (!/[*?]/.test(glob))
+		return host == glob || host.endsWith(`.${glob}`);
+
+	var pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+	return new RegExp(`^${pattern}$`).test(host);
+}
+
+/**
+ * Checks if a hostname is an IPv4 address (or an IPv4-mapped IPv6 address) within a range.
+ *
+ * @param {string} range The range in CIDR notation or a single address.
+ * @param {string} host The hostname.
+ */
+function matchesIpRange(range, host) {
+	var parsedRange = parseIpRange(range);
+	var address = parseIpAddress(getMappedIpAddress(host));
+
+	if (parsedRange == null || address == null)
+		return false;
+
+	var mask = parsedRange.prefix == 0 ? 0 : (~0 << (32 - parsedRange.prefix)) >>> 0;
+	return ((address & mask) >>> 0) == ((parsedRange.address & mask) >>> 0);
+}
+
+/**
+ * Parses an IPv4 range in CIDR notation (or a single address). Returns null if the range is
+ * invalid.
+ *
+ * @param {string} range The range, e.g. 10.0.0.0/8.
+ */
+function parseIpRange(range) {
+	var parts = range.split('/');
+	if (parts.length > 2 || (parts.length == 2 && !/^\d{1,2}$/.test(parts[1])))
+		return null;
+
+	var address = parseIpAddress(parts[0]);
+	var prefix = parts.length == 2 ? Number(parts[1]) : 32;
+
+	if (address == null || prefix > 32)
+		return null;
+
+	return {
+		address: address,
+		prefix: prefix
+	};
+}
+
+/**
+ * Parses an IPv4 address into a number. Returns null if it is not an IPv4 address.
+ *
+ * @param {string} address The address, e.g. 192.168.0.1.
+ */
+function parseIpAddress(address) {
+	if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(address))
+		return null;
+
+	var bytes = address.split('.').map(Number);
+	if (bytes.some(byte => byte > 255))
+		return null;
+
+	return bytes.reduce((n, byte) => n * 256 + byte, 0);
+}
+
+/**
+ * Returns the IPv4 address of an IPv4-mapped IPv6 hostname (e.g. [::ffff:127.0.0.1], which the
+ * URL parser normalizes to [::ffff:7f00:1]), so it can not bypass the IPv4 rules. Other hostnames
+ * are returned unchanged.
+ *
+ * @param {string} host The hostname.
+ */
+function getMappedIpAddress(host) {
+	var dotted = /^\[::ffff:(\d{1,3}(\.\d{1,3}){3})\]$/.exec(host);
+	if (dotted != null)
+		return dotted[1];
+
+	var hex = /^\[::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})\]$/.exec(host);
+	if (hex == null)
+		return host;
+
+	var high = parseInt(hex[1], 16);
+	var low = parseInt(hex[2], 16);
+	return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Returns the rules of the policy and the built-in categories (name and label) for the policy
+ * tab of the extension page.
+ */
+function getPolicy() {
+	var categories = {};
+	for (const name of Object.keys(data.policyCategories)) {
+		categories[name] = data.policyCategories[name].label;
+	}
+
+	return {
+		rules: policyRules,
+		categories: categories
+	};
+}
\ No newline at end of file
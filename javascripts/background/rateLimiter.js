@@ -0,0 +1,104 @@
+/**
+ * @module background script - rateLimiter
+ */
+'use strict';
+
+/**
+ * Defines the maximum number of requests a provider gets in a burst (size of the token bucket).
+ */
+const bucketCapacity = 5;
+
+/**
+ * Defines how many tokens get added to the bucket of a provider per second.
+ */
+const bucketRefillRate = 0.5;
+
+/**
+ * Defines the backoff (in milliseconds) after the first failed request to a provider. The backoff
+ * doubles with every further failure.
+ */
+const initialBackoff = 5000;
+
+/**
+ * Defines the maximum backoff in milliseconds (30 minutes).
+ */
+const maxBackoff = 1800000;
+
+/**
+ * Holds the token bucket of every provider (provider name as key).
+ */
+var buckets = {};
+
+/**
+ * Returns the token bucket of a provider (and creates a full one, if there is none yet).
+ *
+ * @param {string} provider The name of the provider.
+ */
+function getBucket(provider) {
+	if (buckets[provider] == undefined) {
+		buckets[provider] = {
+			tokens: bucketCapacity,
+			lastRefill: (new Date).getTime(),
+			failures: 0,
+			backoffUntil: 0
+		};
+	}
+
+	return buckets[provider];
+}
+
+/**
+ * Waits until a request to a provider is allowed, i.e., until its bucket contains a token.
+ *
+ * @param {string} provider The name of the provider.
+ * @param {function} callback Mandatory callback function, executed when the request is allowed.
+ */
+function acquireToken(provider, callback) {
+	var bucket = getBucket(provider);
+	var now = (new Date).getTime();
+
+	var refill = (now - bucket.lastRefill) / 1000 * bucketRefillRate;
+	bucket.tokens = Math.min(bucketCapacity, bucket.tokens + refill);
+	bucket.lastRefill = now;
+
+	if (bucket.tokens >= 1) {
+		bucket.tokens--;
+		callback();
+	} else {
+		var wait = (1 - bucket.tokens) / bucketRefillRate * 1000;
+		setTimeout(() => acquireToken(provider, callback), Math.ceil(wait));
+	}
+}
+
+/**
+ * Checks if a provider is backing off after failed requests.
+ *
+ * @param {string} provider The name of the provider.
+ */
+function isBackingOff(provider) {
+	return (new Date).getTime() < getBucket(provider).backoffUntil;
+}
+
+/**
+ * Records the result of a request to a provider. After an error (including HTTP 429, too many
+ * requests), the provider is not asked again for an exponentially growing time.
+ *
+ * @param {string} provider The name of the provider.
+ * @param {bool} success Specifies if the request succeeded.
+ */
+function recordRequestResult(provider, success) {
+	var bucket = getBucket(provider);
+
+	if (success) {
+		bucket.failures = 0;
+		return;
+	}
+
+	var backoff = Math.min(initialBackoff * Math.pow(2, bucket.failures), maxBackoff);
+	bucket.failures++;
+	bucket.backoffUntil = (new Date).getTime() + backoff * (0.5 + Math.random() / 2); // With jitter
+	bucket.tokens = 0;
+
+	if (debug)
+		console.log(`Provider ${provider} failed ${bucket.failures} times, backing off for ${backoff} ms.`);
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * @module background script - recipe
+ */
+'use strict';
+
+/**
+ * Holds the path to the recipes which are bundled with this extension.
+ */
+const recipesPath = '../data/recipes.json';
+
+/**
+ * Holds the actions a recipe step can perform.
+ */
+const recipeActions = ['click', 'waitFor', 'type', 'pressKey', 'followResult'];
+
+/**
+ * Holds the keys which can be pressed by the pressKey action.
+ */
+const recipeKeys = ['Enter', 'Escape', 'Tab', 'ArrowDown', 'ArrowUp'];
+
+/**
+ * Defines the maximum time (in milliseconds) a waitFor step may wait for an element.
+ */
+const maxRecipeTimeout = 30000;
+
+/**
+ * Holds the recipes which are bundled with this extension (hostname as key). A recipe describes
+ * how to search a site whose search widget can not be used by our generic heuristics:
+ * { "steps": [{ "action": "click", "selector": "#searchButton" }, ...] }
+ */
+var bundledRecipes = {};
+
+/**
+ * Holds the recipes imported by the user. They take precedence over the bundled recipes.
+ */
+var userRecipes = {};
+
+/**
+ * Loads the bundled recipes and the recipes imported by the user. Invalid bundled recipes are
+ * skipped, the valid ones are kept. The callback gets called even if the bundled recipes can not
+ * be loaded at all.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadRecipes(callback) {
+	var loadUserRecipes = () => {
+		chrome.storage.local.get('userRecipes', result => {
+			userRecipes = result.userRecipes != undefined ? result.userRecipes : {};
+			typeof callback === 'function' && callback();
+		});
+	};
+
+	fetch(recipesPath).then(response => response.json()).then(json => {
+		bundledRecipes = {};
+		for (const host of Object.keys(json)) {
+			var errors = validateRecipes({ [host]: json[host] });
+			if (errors.length == 0)
+				bundledRecipes[host] = json[host];
+			else if (debug)
+				console.warn(`Invalid bundled recipe: ${errors.join(' ')}`);
+		}
+
+		loadUserRecipes();
+	}).catch(err => {
+		if (debug)
+			console.warn(`The bundled recipes could not be loaded: ${err}`);
+
+		loadUserRecipes();
+	});
+}
+
+/**
+ * Returns the recipe for a given url or undefined, if there is no recipe for this site.
+ *
+ * @param {string} url The url of the site.
+ */
+function getRecipe(url) {
+	var key = getKeyFromUrl(url);
+
+	return userRecipes[key] != undefined ? userRecipes[key] : bundledRecipes[key];
+}
+
+/**
+ * Imports recipes from the user. The recipes are only saved if all of them are valid. The
+ * callback gets an array of error messages (empty on success).
+ *
+ * @param {Object} recipes The recipes to import (hostname as key).
+ * @param {function} [callback] Optional callback function with the errors as parameter.
+ */
+function importRecipes(recipes, callback) {
+	var errors = validateRecipes(recipes);
+
+	if (errors.length > 0) {
+		typeof callback === 'function' && callback(errors);
+		return;
+	}
+
+	for (const host of Object.keys(recipes)) {
+		userRecipes[getKeyFromUrl(host)] = recipes[host];
+	}
+
+	chrome.storage.local.set({
+		userRecipes: userRecipes
+	}, () => {
+		typeof callback === 'function' && callback([]);
+	});
+}
+
+/**
+ * Removes an imported recipe.
+ *
+ * @param {string} host The hostname of the recipe.
+ * @param {function} [callback] Optional callback function.
+ */
+function removeRecipe(host, callback) {
+	delete userRecipes[host];
+
+	chrome.storage.local.set({
+		userRecipes: userRecipes
+	}, callback);
+}
+
+/**
+ * Checks if the given recipes are well-formed. Returns an array of error messages, which is
+ * empty if all recipes are valid.
+ *
+ * @param {Object} recipes The recipes to check (hostname as key).
+ */
+function validateRecipes(recipes) {
+	if (recipes == null || typeof recipes !== 'object' || Array.isArray(recipes))
+		return ['Recipes have to be an object with hostnames as keys.'];
+
+	var errors = [];
+	for (const host of Object.keys(recipes)) {
+		if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(host)) {
+			errors.push(`"${host}" is not a valid hostname.`);
+			continue;
+		}
+
+		errors = errors.concat(validateRecipe(recipes[host]).map(error => `${host}: ${error}`));
+	}
+
+	return errors;
+}
+
+/**
+ * Checks if a single recipe is well-formed. Returns an array of error messages.
+ *
+ * @param {Object} recipe The recipe to check.
+ */
+function validateRecipe(recipe) {
+	if (recipe == null || !Array.isArray(recipe.steps) || recipe.steps.length == 0)
+		return ['A recipe needs a non-empty array of steps.'];
+
+	var errors = [];
+	recipe.steps.forEach((step, index) => {
+		var prefix = `Step ${index + 1}:`;
+
+		if (step == null || !recipeActions.includes(step.action)) {
+			errors.push(`${prefix} Unknown action, use one of ${recipeActions.join(', ')}.`);
+			return;
+		}
+
+		if (typeof step.selector !== 'string' || !isValidSelector(step.selector))
+			errors.push(`${prefix} Missing or invalid selector.`);
+
+		if (step.action == 'type' && step.text != undefined && typeof step.text !== 'string')
+			errors.push(`${prefix} The text has to be a string.`);
+
+		if (step.action == 'pressKey' && !recipeKeys.includes(step.key))
+			errors.push(`${prefix} Unknown key, use one of ${recipeKeys.join(', ')}.`);
+
+		if (step.action == 'waitFor' && step.timeout != undefined &&
+			!(Number.isInteger(step.timeout) && step.timeout > 0 && step.timeout <= maxRecipeTimeout)) {
+			errors.push(`${prefix} The timeout has to be between 1 and ${maxRecipeTimeout} milliseconds.`);
+		}
+
+		if (step.action == 'followResult' && step.index != undefined &&
+			!(Number.isInteger(step.index) && step.index >= 0)) {
+			errors.push(`${prefix} The index has to be a non-negative integer.`);
+		}
+	});
+
+	if (!recipe.steps.some(step => step != null && step.action == 'type'))
+		errors.push('A recipe needs at least one type step.');
+
+	return errors;
+}
+
+/**
+ * Checks if a given string is a valid css selector.
+ *
+ * @param {string} selector The selector to check.
+ */
+function isValidSelector(selector) {
+	try {
+		document.createDocumentFragment().querySelector(selector);
+		return selector.trim().length > 0;
+	} catch (err) {
+		return false;
+	}
+}
\ No newline at end of file
@@ -3,11 +3,6 @@
  */
 'use strict';
 
-/**
- * Holds the link to the Google suggestion API for completing search terms.
- */
-const suggestionAPI = 'http://suggestqueries.google.com/complete/search?client=firefox';
-
 /**
  * Defines the maximum number of iterations when searching for a suggestion. This number should
  * (hopefully) not get reached, but we use it to make 100% sure that we can never land in an
@@ -16,17 +11,45 @@ const suggestionAPI = 'http://suggestqueries.google.com/complete/search?client=f
 const maxRuns = 20;
 
 /**
- * Tries to find a Google search completion suggestion for a given term.
+ * Tries to find a search completion suggestion for a given term (see suggestionProviders.js).
  * 
  * @param {string} term The search term for which we want to find a suggestion.
  * @param {function} callback Mandatory callback function with suggestion as parameter. 
  */
 function getSuggestion(term, callback) {
-	getSuggestionRecursive(term, [term], 0, [], callback);
+	getSuggestionRecursive(term, [term], 0, [], suggestion => {
+		// Fall back to the local generator, if no provider had a suitable suggestion
+		callback(suggestion != '' ? suggestion : generateDecoyTerm(term));
+	});
+}
+
+/**
+ * Tries to find a decoy term for a given term which fits the interests of a persona (see
+ * persona.js). The search for suggestions starts with a query from the vocabulary of the persona
+ * instead of the term itself, but the decoy still has to be valid for the term.
+ * 
+ * @param {string} term The search term for which we want to find a decoy.
+ * @param {Object} persona The persona (if undefined, we look for any suggestion).
+ * @param {function} callback Mandatory callback function with the decoy as parameter.
+ */
+function getPersonaSuggestion(term, persona, callback) {
+	if (persona == undefined) {
+		getSuggestion(term, callback);
+		return;
+	}
+
+	var query = createPersonaQuery(persona, countWords(term));
+	getSuggestionRecursive(term, [query], 0, [], suggestion => {
+		// Without suggestions, the query of the persona is a decoy as well
+		if (suggestion == '' && isValid(term, query) && !isSensitiveTerm(query))
+			suggestion = query;
+
+		callback(suggestion != '' ? suggestion : generateDecoyTerm(term));
+	});
 }
 
 /**
- * Tries to find a Google search completion suggestion for a given term.
+ * Tries to find a search completion suggestion for a given term.
  * 
  * @param {string} original The original term for which we want to find a suggestion.
  * @param {string[]} wordQueue The terms to look at next.
@@ -43,7 +66,7 @@ function getSuggestionRecursive(original, wordQueue, runs, alreadyDone, callback
 	var current = wordQueue.shift();
 
 	var words = getAllWords(current);
-	words = words.filter(w => w.split(' ').length <= original.split(' ').length);
+	words = words.filter(w => countWords(w) <= countWords(original));
 	words = words.filter(w => !alreadyDone.includes(w));
 	words = words.filter(w => w.trim().length > 0);
 	words = words.filter((item, pos, self) => self.indexOf(item) == pos);
@@ -52,22 +75,26 @@ function getSuggestionRecursive(original, wordQueue, runs, alreadyDone, callback
 		alreadyDone = alreadyDone.concat(words);
 
 		asyncArrLoop(words, (item, inCallback) => {
-			setTimeout(() => { // Make sure Google does not block us
-				requestAPI(suggestionAPI, item, result => {
-					if (result == '') { // Nothing found
-						inCallback();
-						return;
-					}
-					
-					var suggestion = chooseTerm(result, alreadyDone);
-					if (isValid(original, suggestion)) {
-						callback(suggestion); // No inCallback() call: break from loop
-					} else {
-						wordQueue.push(suggestion);
-						inCallback(); // Process next item from words array
-					}
-				});
-			}, 500);
+			// The requests are cached and rate limited (see suggestionCache.js and rateLimiter.js)
+			requestSuggestions(item, result => {
+				if (result.length == 0) { // Nothing found
+					inCallback();
+					return;
+				}
+				
+				var suggestion = chooseTerm(result, alreadyDone);
+				if (suggestion != '' && isSensitiveTerm(suggestion)) {
+					inCallback(); // Do not use or expand terms about sensitive topics
+					return;
+				}
+
+				if (isValid(original, suggestion)) {
+					callback(suggestion); // No inCallback() call: break from loop
+				} else {
+					wordQueue.push(suggestion);
+					inCallback(); // Process next item from words array
+				}
+			});
 		}, () => { // Callback after loop is done (only if last iteration passed)
 			getSuggestionRecursive(original, wordQueue, ++runs, alreadyDone, callback);
 		}, 0);
@@ -77,83 +104,24 @@ function getSuggestionRecursive(original, wordQueue, runs, alreadyDone, callback
 }
 
 /**
- * Returns all possible combinations of words for a search term (with the only condition that the
- * words do not change their order).
+ * Returns all possible combinations of consecutive words for a search term. The combinations are
+ * taken from the term as they are, so languages without spaces between words stay intact.
  * 
  * @param {string} term The term for which we want to get all combinations of words. 
  */
 function getAllWords(term) {
 	var powerset = [];
 
-	var words = term.split(' ');
-	var currWord = '';
+	var words = segmentWords(term);
 	for (var i = 0; i < words.length; i++) {
-		currWord += words[i];
-		powerset.push(words[i]);
-		for (var j = i + 1; j < words.length; j++) {
-			currWord += (' ' + words[j]);
-			powerset.push(currWord);
+		for (var j = i; j < words.length; j++) {
+			powerset.push(term.substring(words[i].index, words[j].index + words[j].word.length));
 		}
-		currWord = '';
 	}
 
 	return powerset;
 }
 
-/**
- * Requests the Google suggestion API for a given term.
- * 
- * @param {string} api The Google suggestion API.
- * @param {string} term The term which should get completed.
- * @param {function} callback Mandatory callback function with the suggestions as parameter.
- */
-function requestAPI(api, term, callback) {
-	var xmlHttp = new XMLHttpRequest();
-	xmlHttp.open('GET', `${api}&q=${term}`, true);
-
-	xmlHttp.onreadystatechange = () => {
-		if (xmlHttp.readyState == 4 && xmlHttp.status == 200) {
-			try {
-				callback(processResponse(xmlHttp.responseText));
-			} catch (err) {
-				callback('');
-			}
-		}
-	};
-
-	xmlHttp.send();
-}
-
-/**
- * Brings the response from the API into the correct format.
- * 
- * @param {string} text Response text from the API request.
- */
-function processResponse(text) {
-	/* 
-	 * Text looks like this (for term 'hello'):
-	 * ["hello",["hello fresh","hello body","hello","hello kitty","hello neighbor",
-	 * "hello body code","hello fresh rezepte","helloween","hello again",
-	 * "hello fresh gutschein"]]
-	 */
-	text = text.split(/,(.+)/)[1]; // Split at first comma
-
-	var quoteCount = 0, currentWord = '', suggestions = [];
-	for (var i = 0; i < text.length; i++) {
-		if (quoteCount % 2 == 1 && text.charAt(i) != '"') { // Quotation mark open, word begins here
-			currentWord += text.charAt(i);
-		} else if (currentWord != '') { // Quotation mark close, word ended here
-			suggestions.push(currentWord.trim());
-			currentWord = '';
-		}
-
-		if (text.charAt(i) == '"')
-			quoteCount = (quoteCount + 1) % 2;
-	}
-
-	return suggestions;
-}
-
 /**
  * Returns a suggestion from a list of suggestions which was not considered before.
  * 
@@ -161,13 +129,13 @@ function processResponse(text) {
  * @param {string[]} alreadyChosen Array of words we already looked at.
  */
 function chooseTerm(suggestions, alreadyChosen) {
-	suggestions = suggestions.map(e => e.toLowerCase());
-	alreadyChosen = alreadyChosen.map(e => e.toLowerCase());
+	suggestions = suggestions.map(e => e.toLocaleLowerCase());
+	alreadyChosen = alreadyChosen.map(e => normalizeTerm(e));
 
 	// Random choice
 	while (suggestions.length > 0) {
 		var randomIndex = Math.floor(Math.random() * suggestions.length);
-		if (!alreadyChosen.includes(suggestions[randomIndex]))
+		if (!alreadyChosen.includes(normalizeTerm(suggestions[randomIndex])))
 			return suggestions[randomIndex];
 		else
 			suggestions.splice(randomIndex, 1);
@@ -178,7 +146,8 @@ function chooseTerm(suggestions, alreadyChosen) {
 
 /**
  * Checks if a suggestion is valid, i.e., it contains the same number of words as the original
- * term and it contains not a single word of the original term.
+ * term, it contains not a single word of the original term (ignoring case and diacritics) and
+ * it is far enough from the original term in meaning (see decoyTerms.js).
  * 
  * @param {string} originalTerm The original term.
  * @param {string} suggestionTerm The suggestion to be checked.
@@ -187,9 +156,10 @@ function isValid(originalTerm, suggestionTerm) {
 	if (!suggestionTerm.trim().length > 0)
 		return false;
 	
-	var suggestionWords = suggestionTerm.split(' ');
-	var originalWords = originalTerm.split(' ');
+	var suggestionWords = normalizeWords(suggestionTerm);
+	var originalWords = normalizeWords(originalTerm);
 
 	return suggestionWords.length == originalWords.length && 
-		   !suggestionWords.some(w => originalWords.includes(w));
+		   !suggestionWords.some(w => originalWords.includes(w)) &&
+		   isSemanticallyDistant(originalTerm, suggestionTerm);
 }
\ No newline at end of file
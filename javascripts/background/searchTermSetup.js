@@ -5,52 +5,50 @@
 
 /**
  * Searches for possible search terms in the user's browser history. Saves the results
- * to the 'searchTerms' objectStore in our database.
+ * to the 'searchTerms' objectStore in our database. Terms of earlier runs are kept (together
+ * with the number of decoys generated from them), but their frequency gets counted again.
  * 
  * @param {function} [callback] Optional callback function. 
  */
 function loadSearchTerms(callback) {
-	clearDatabase('searchTerms', () => {
+	resetTermFrequencies(() => {
 		chrome.history.search({
 			text: '',
 			'startTime': startTime
 		}, historyItems => {
 			asyncArrLoop(historyItems, (item, inCallback) => {
-				if (item.url.indexOf('?') < 0) { // Only consider urls with parameter
-					inCallback();
-					return;
-				}
-			
-				getSearchTerm(item.url, inCallback);
+				getSearchTerm(item, inCallback);
 			}, callback, 0);
 		});
 	});
 }
 
 /**
- * Grabs the search term for a given url.
+ * Grabs the search term for a given browser history entry.
  * 
- * @param {string} url The visited website.
+ * @param {Object} historyItem The browser history entry of the visited website.
  * @param {function} [callback] Optional callback function.
  */
-function getSearchTerm(url, callback) {
-	// Only consider urls with parameters
-	if (url.indexOf('?') < 0) {
-		typeof callback === 'function' && callback();
-		return;
-	}
-
+function getSearchTerm(historyItem, callback) {
+	var url = historyItem.url;
 	var key = getKeyFromUrl(url);
 
 	getFromDatabase('searchParams', key, result => {
 		// Find out url params, since they are not existing in our database yet.
 		if (result == undefined) {
+			// Only consider urls which can contain a search term at all and do not probe sites
+			// which the policy blocks
+			if (!mightContainSearchTerm(url) || !passesPolicy(url)) {
+				typeof callback === 'function' && callback();
+				return;
+			}
+
 			// Find out parameter and afterwards get search terms for the url.
 			getSearchParam(url, () => {
 				// Make sure we found a parameter to avoid endless loops
 				getFromDatabase('searchParams', key, newResult => {
 					if (newResult != undefined) {
-						getSearchTerm(url, callback);
+						getSearchTerm(historyItem, callback);
 					} else {
 						// Can not find parameter, so mark as not searchable
 						storeInDatabase('searchParams', key, '', true, callback);
@@ -58,10 +56,11 @@ function getSearchTerm(url, callback) {
 				});
 			});
 		} else {
-			var term = new URLSearchParams(url.split('?')[1]).get(result.value[0]);
+			var term = extractSearchTerm(getSearchTemplate(result), url);
 
-			if (term != null && term.trim().length > 0) {
-				storeInDatabase('searchTerms', key, decodeURIComponent(term), true, callback);
+			// Terms about sensitive topics must not be used as seed for decoy terms
+			if (term != null && !isSensitiveTerm(term, url)) {
+				storeSearchTerm(key, term, historyItem, callback);
 				return; // Avoid double callback call
 			}
 
@@ -71,12 +70,179 @@ function getSearchTerm(url, callback) {
 }
 
 /**
- * Finds out the search parameter for a given url.
+ * Checks if a given url can contain a search term, i.e., it has parameters, a hash fragment which
+ * looks like a query string (e.g. '#q=term' or '#!/search?q=term') or a path which matches our
+ * rule table. Plain anchors like '#section' do not count.
+ * 
+ * @param {string} url The url to check.
+ */
+function mightContainSearchTerm(url) {
+	var parsed = new URL(url);
+	return parsed.search.length > 1 || parsed.hash.indexOf('=') > 0 || getSearchTemplateFromRules(url) != null;
+}
+
+/**
+ * Finds out the search url template for a given url. First, we look for an OpenSearch
+ * description of the site. If there is none, we check our rule table of common search
+ * parameters and paths. Only if both fail, we open a tab and search the site with a dummy term.
  * 
  * @param {string} url The url for which we want to determine the search parameter.
  * @param {function} [callback] Optional callback function, executed when done.
  */
 function getSearchParam(url, callback) {
+	getOpenSearchTemplate(url, template => {
+		if (template != null) {
+			storeSearchParam(url, template, 'opensearch', callback);
+			return;
+		}
+
+		template = getSearchTemplateFromRules(url);
+		if (template != null) {
+			storeSearchParam(url, template, 'rules', callback);
+			return;
+		}
+
+		probeSearchParam(url, callback);
+	});
+}
+
+/**
+ * Saves the search url template for a given url together with the source of this information
+ * ('opensearch', 'rules' or 'probe'). See searchUrlTemplate.js for the format of templates.
+ * 
+ * @param {string} url The url for which we want to save the template.
+ * @param {string} template The search url template.
+ * @param {string} source The way we found out the template.
+ * @param {function} [callback] Optional callback function.
+ */
+function storeSearchParam(url, template, source, callback) {
+	storeInDatabase('searchParams', getKeyFromUrl(url), {
+		template: template,
+		source: source
+	}, false, callback);
+}
+
+/**
+ * Returns the search url template from an entry of the searchParams objectStore. Entries which
+ * were saved before templates existed only consist of a parameter name (and the source).
+ * 
+ * @param {Object} result The entry from the database.
+ */
+function getSearchTemplate(result) {
+	var value = result.value[0];
+
+	if (typeof value === 'string')
+		return paramToTemplate(value);
+
+	return value.template != undefined ? value.template : paramToTemplate(value.param);
+}
+
+/**
+ * Reads the search url template from the OpenSearch description of a site (if the site links to
+ * one). The callback gets the template or null, if there is no usable OpenSearch description.
+ * 
+ * @param {string} url The url of the site.
+ * @param {function} callback Mandatory callback function with the template as parameter.
+ */
+function getOpenSearchTemplate(url, callback) {
+	fetchDocument(removeParamsFromUrl(url), 'text/html', doc => {
+		var link = doc != null ?
+			doc.querySelector('link[rel~=search][type="application/opensearchdescription+xml"][href]') : null;
+
+		if (link == null) {
+			callback(null);
+			return;
+		}
+
+		fetchDocument(new URL(link.getAttribute('href'), url).href, 'text/xml', xml => {
+			if (xml == null) {
+				callback(null);
+				return;
+			}
+
+			for (const elem of xml.getElementsByTagNameNS('*', 'Url')) {
+				var method = (elem.getAttribute('method') || 'get').toLowerCase();
+				if (elem.getAttribute('type') == 'text/html' && method == 'get') {
+					callback(cleanOpenSearchTemplate(elem.getAttribute('template') || ''));
+					return;
+				}
+			}
+
+			callback(null);
+		});
+	});
+}
+
+/**
+ * Removes the optional parameters (e.g. '{startPage?}') from an OpenSearch url template. Returns
+ * null, if the template does not contain the search terms or requires other parameters.
+ * 
+ * @param {string} template The OpenSearch url template.
+ */
+function cleanOpenSearchTemplate(template) {
+	template = template.replace(/[?&][^?&#=]+=\{[^}]+\?\}/g, '');
+
+	if (template.indexOf(searchTermsPlaceholder) < 0 || /\{(?!searchTerms\})[^}]*\}/.test(template))
+		return null;
+
+	// Removing the first parameter may have removed the question mark as well
+	return template.indexOf('?') < 0 ? template.replace('&', '?') : template;
+}
+
+/**
+ * Looks up the search url template for a given url in the rule table in data.json. Known hosts
+ * have a fixed parameter. Otherwise, we use the first common search parameter contained in the
+ * url or a common search path (e.g. '/search/term'). Returns null, if no rule matches.
+ * 
+ * @param {string} url The url for which we want to determine the search template.
+ */
+function getSearchTemplateFromRules(url) {
+	var rules = data.searchParamRules;
+	var key = getKeyFromUrl(url);
+
+	if (rules.hosts.hasOwnProperty(key))
+		return paramToTemplate(rules.hosts[key]);
+
+	var params = new URLSearchParams(url.split('?')[1]);
+	for (const param of rules.params) {
+		var value = params.get(param);
+		if (value != null && value.trim().length > 0 && isNaN(value)) // Ignore ids and page numbers
+			return paramToTemplate(param);
+	}
+
+	var parsed = new URL(url);
+	for (const path of rules.paths) {
+		if (parsed.pathname.startsWith(path) && parsed.pathname.length > path.length)
+			return `${parsed.origin}${path}${searchTermsPlaceholder}`;
+	}
+
+	return null;
+}
+
+/**
+ * Fetches a document and parses it. The callback gets the parsed document or null, if the
+ * request failed.
+ * 
+ * @param {string} url The url of the document.
+ * @param {string} type The mime type of the document ('text/html' or 'text/xml').
+ * @param {function} callback Mandatory callback function with the document as parameter.
+ */
+function fetchDocument(url, type, callback) {
+	fetch(url, {
+		credentials: 'omit'
+	}).then(response => response.ok ? response.text() : null).catch(err => null).then(text => {
+		callback(text != null ? new DOMParser().parseFromString(text, type) : null);
+	});
+}
+
+/**
+ * Finds out the search parameter for a given url by searching the site with a dummy term in a
+ * new tab (see saveSearchParam()).
+ * 
+ * @param {string} url The url for which we want to determine the search parameter.
+ * @param {function} [callback] Optional callback function, executed when done.
+ */
+function probeSearchParam(url, callback) {
 	chrome.tabs.create({
 		windowId: windowId,
 		index: currentTabs.length,
@@ -86,16 +252,19 @@ function getSearchParam(url, callback) {
 		tab.isNew = true;
 		tab.type = 'getUrlParam';
 		tab.callback = callback; // Call callback, when tab is done
+		tab.startUrl = url.split('?')[0];
+		tab.startTime = (new Date).getTime();
 		specialTabs[specialTabs.findIndex(elem => elem.id == -1)] = tab;
 	});
 }
 
 /**
- * Sets the url parmaeter for a given url.
+ * Sets the search url template for a given url. The template gets created from the url we got
+ * directed to after searching for a dummy term.
  * 
- * @param {string} url The url for which we want to set the parameter.
+ * @param {string} url The url for which we want to set the template (search results page).
  * @param {string} originUrl The origin url (some pages redirect on search).
- * @param {string} dummyTerm The search term used to find out the parameter.
+ * @param {string} dummyTerm The search term used to find out the template.
  * @param {function} [callback] Optional callback function.
  */
 function saveSearchParam(url, originUrl, dummyTerm, callback) {
@@ -104,25 +273,22 @@ function saveSearchParam(url, originUrl, dummyTerm, callback) {
 		return;
 	}
 
-	var params = new URLSearchParams(url.split('?')[1]);
-	for (const [key, val] of params.entries()) {
-		if (val.toLowerCase() == dummyTerm.toLowerCase()) { // Some sites capitalize queries
-			// Some sites redirect on search, so we make sure that we add url as well as originUrl.
-			storeInDatabase('searchParams', getKeyFromUrl(originUrl), key, false, () => {
-				storeInDatabase('searchParams', getKeyFromUrl(url), key, false, () => {
-					chrome.history.deleteUrl({
-						url: url
-					}, () => {
-						chrome.history.deleteUrl({
-							url: originUrl
-						}, callback);
-					});
-				});
-			});
-			
-			return;
-		}
+	var template = createSearchTemplate(url, dummyTerm);
+	if (template == null) {
+		typeof callback === 'function' && callback();
+		return;
 	}
 
-	typeof callback === 'function' && callback();
+	// Some sites redirect on search, so we make sure that we add url as well as originUrl.
+	storeSearchParam(originUrl, template, 'probe', () => {
+		storeSearchParam(url, template, 'probe', () => {
+			chrome.history.deleteUrl({
+				url: url
+			}, () => {
+				chrome.history.deleteUrl({
+					url: originUrl
+				}, callback);
+			});
+		});
+	});
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * @module background script - searchTermStore
+ */
+'use strict';
+
+/**
+ * Defines how many decoy terms may be generated from a single search term. Terms which have been
+ * camouflaged that often are not used anymore.
+ */
+const maxDecoysPerTerm = 10;
+
+/**
+ * Defines the time after which the weight of a search term halves (three days), such that recent
+ * search terms get chosen more often.
+ */
+const termRecencyHalfLife = daysToMilliseconds(3);
+
+/**
+ * Saves a search term found in the browser history. Every host has a list of term records:
+ * { term, firstSeen, lastSeen, frequency, sourceUrl, decoyCount }
+ * If the host already has a record for the term, the record gets updated. The frequency only
+ * counts the visits within the current interval (see startTime).
+ *
+ * @param {string} key The key of the host (see getKeyFromUrl).
+ * @param {string} term The search term.
+ * @param {Object} historyItem The browser history entry in which we found the term.
+ * @param {function} [callback] Optional callback function.
+ */
+function storeSearchTerm(key, term, historyItem, callback) {
+	var visitTime = historyItem.lastVisitTime != undefined ?
+		historyItem.lastVisitTime : (new Date).getTime();
+
+	chrome.history.getVisits({
+		url: historyItem.url
+	}, results => {
+		// The history entry was found within the interval, so it has been visited at least once
+		var visits = Math.max(results.filter(e => e.visitTime >= startTime).length, 1);
+
+		updateInDatabase('searchTerms', key, records => {
+			var record = records.find(r => normalizeTerm(r.term) == normalizeTerm(term));
+
+			if (record == undefined) {
+				records.push({
+					term: term,
+					firstSeen: visitTime,
+					lastSeen: visitTime,
+					frequency: visits,
+					sourceUrl: historyItem.url,
+					decoyCount: 0
+				});
+			} else {
+				if (visitTime >= record.lastSeen) // Keep the url of the most recent search
+					record.sourceUrl = historyItem.url;
+
+				record.firstSeen = Math.min(record.firstSeen, visitTime);
+				record.lastSeen = Math.max(record.lastSeen, visitTime);
+				record.frequency += visits;
+			}
+
+			return records;
+		}, callback);
+	});
+}
+
+/**
+ * Resets the frequency of all search terms. The frequency counts the searches in the current
+ * interval, so it gets counted again whenever the browser history is loaded. Everything else
+ * (e.g. the number of decoys) is kept. Terms which have not been searched within the interval
+ * (see startTime) are removed, hosts without any term left as well.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function resetTermFrequencies(callback) {
+	getAllDatabaseEntries('searchTerms', entries => {
+		var isOutdated = record => record.lastSeen < startTime;
+		var outdatedHosts = entries.filter(entry => entry.value.every(isOutdated)).map(entry => entry.url);
+
+		asyncArrLoop(entries.filter(entry => !outdatedHosts.includes(entry.url)), (entry, inCallback) => {
+			updateInDatabase('searchTerms', entry.url, records => {
+				records = records.filter(record => !isOutdated(record));
+				records.forEach(record => {
+					record.frequency = 0;
+				});
+				return records;
+			}, inCallback);
+		}, () => {
+			removeFromDatabase('searchTerms', outdatedHosts, callback);
+		}, 0);
+	});
+}
+
+/**
+ * Chooses one of the search term records of a host. Recent and frequent terms are chosen more
+ * often, terms which have been camouflaged too often or which belong to a sensitive topic are
+ * skipped. Returns undefined, if there is no term left.
+ *
+ * @param {Object[]} records The term records of the host.
+ */
+function sampleSearchTerm(records) {
+	var now = (new Date).getTime();
+
+	// Topics might have become sensitive since the term was stored
+	var candidates = records.filter(record => {
+		return record.decoyCount < maxDecoysPerTerm && getSensitiveTopic(record.term) == null;
+	});
+	var weights = candidates.map(record => {
+		var recency = Math.pow(0.5, Math.max(now - record.lastSeen, 0) / termRecencyHalfLife);
+		return (1 + record.frequency) * recency;
+	});
+
+	var random = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+	for (var i = 0; i < candidates.length; i++) {
+		random -= weights[i];
+		if (random < 0)
+			return candidates[i];
+	}
+
+	return candidates[candidates.length - 1];
+}
+
+/**
+ * Counts a decoy term which was generated from a search term.
+ *
+ * @param {string} key The key of the host (see getKeyFromUrl).
+ * @param {string} term The search term.
+ * @param {function} [callback] Optional callback function.
+ */
+function countDecoy(key, term, callback) {
+	updateInDatabase('searchTerms', key, records => {
+		var record = records.find(r => r.term == term);
+		if (record != undefined)
+			record.decoyCount++;
+
+		return records;
+	}, callback);
+}
\ No newline at end of file
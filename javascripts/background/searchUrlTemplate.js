@@ -0,0 +1,184 @@
+/**
+ * @module background script - searchUrlTemplate
+ */
+'use strict';
+
+/**
+ * Holds the placeholder for the search term in url templates (same as in OpenSearch templates).
+ * Templates look like this:
+ * https://example.com/search?q={searchTerms}    (query parameter)
+ * https://example.com/search/{searchTerms}      (path segment)
+ * https://example.com/#/search?q={searchTerms}  (hash fragment of single page apps)
+ * ?q={searchTerms}                              (query parameter on any path of the site)
+ */
+const searchTermsPlaceholder = '{searchTerms}';
+
+/**
+ * Creates a url template from a search url and the term which was searched. Returns null, if the
+ * term does not occur in the url.
+ *
+ * @param {string} url The url of the search results.
+ * @param {string} term The term which was searched.
+ */
+function createSearchTemplate(url, term) {
+	var parsed = new URL(url);
+	var base = parsed.origin + parsed.pathname;
+
+	var key = findTermInQuery(parsed.search.substring(1), term);
+	if (key != null)
+		return `${base}?${key}=${searchTermsPlaceholder}`;
+
+	var path = replaceTermInPath(parsed.pathname, term);
+	if (path != null)
+		return parsed.origin + path;
+
+	var hash = parsed.hash.substring(1);
+	var hashPath = hash.split('?')[0];
+	key = findTermInQuery(hash.indexOf('?') >= 0 ? hash.split('?')[1] : hash, term);
+	if (key != null)
+		return `${base}#${hash.indexOf('?') >= 0 ? hashPath + '?' : ''}${key}=${searchTermsPlaceholder}`;
+
+	path = replaceTermInPath(hashPath, term);
+	if (path != null)
+		return `${base}#${path}`;
+
+	return null;
+}
+
+/**
+ * Converts a search parameter name into a url template, which matches the parameter on any path.
+ *
+ * @param {string} param The name of the search parameter.
+ */
+function paramToTemplate(param) {
+	return param != '' ? `?${param}=${searchTermsPlaceholder}` : '';
+}
+
+/**
+ * Extracts the search term from a url using a url template. Returns null, if the url does not
+ * match the template.
+ *
+ * @param {string} template The url template.
+ * @param {string} url The url from which we want to extract the search term.
+ */
+function extractSearchTerm(template, url) {
+	if (template.indexOf(searchTermsPlaceholder) < 0)
+		return null;
+
+	var parsedTemplate = new URL(template, url);
+	var parsed = new URL(url);
+	var term = null;
+
+	if (parsedTemplate.search.indexOf(searchTermsPlaceholder) >= 0) {
+		var key = findTermInQuery(parsedTemplate.search.substring(1), searchTermsPlaceholder);
+		term = new URLSearchParams(parsed.search).get(key);
+	} else if (decodeURIComponent(parsedTemplate.pathname).indexOf(searchTermsPlaceholder) >= 0) {
+		term = matchPath(decodeURIComponent(parsedTemplate.pathname), parsed.pathname);
+	} else {
+		var templateHash = parsedTemplate.hash.substring(1).split('?');
+		var hash = parsed.hash.substring(1).split('?');
+
+		if (templateHash.length > 1) { // Query inside of the hash, e.g. '#/search?q={searchTerms}'
+			var hashKey = findTermInQuery(templateHash[1], searchTermsPlaceholder);
+			if (templateHash[0] == hash[0] && hash.length > 1)
+				term = new URLSearchParams(hash[1]).get(hashKey);
+		} else if (templateHash[0].indexOf('=') >= 0) { // E.g. '#q={searchTerms}'
+			var fragmentKey = findTermInQuery(templateHash[0], searchTermsPlaceholder);
+			term = new URLSearchParams(hash[0]).get(fragmentKey);
+		} else { // E.g. '#/search/{searchTerms}'
+			term = matchPath(templateHash[0], hash[0]);
+		}
+	}
+
+	return term != null && term.trim().length > 0 ? term : null;
+}
+
+/**
+ * Builds the url to search a site for a given term.
+ *
+ * @param {string} template The url template of the site.
+ * @param {string} term The term to search for.
+ * @param {string} baseUrl The url of the current page (relative templates get resolved against it).
+ */
+function buildSearchUrl(template, term, baseUrl) {
+	var url = template.replace(searchTermsPlaceholder, encodeURIComponent(term));
+
+	return new URL(url, removeParamsFromUrl(baseUrl)).href;
+}
+
+/**
+ * Returns the key of the query parameter which has the given term as value (case insensitive,
+ * because some sites capitalize queries) or null, if there is none.
+ *
+ * @param {string} query The query string (without leading question mark).
+ * @param {string} term The term to look for.
+ */
+function findTermInQuery(query, term) {
+	for (const pair of query.split('&')) {
+		var key = pair.split('=')[0];
+		var value = decodeQueryValue(pair.substring(key.length + 1));
+
+		if (value.toLowerCase() == term.toLowerCase())
+			return key;
+	}
+
+	return null;
+}
+
+/**
+ * Replaces the path segment which contains the given term by the placeholder. Returns null, if
+ * no segment contains the term.
+ *
+ * @param {string} path The path (e.g. '/search/term').
+ * @param {string} term The term to look for.
+ */
+function replaceTermInPath(path, term) {
+	var segments = path.split('/');
+
+	for (var i = 0; i < segments.length; i++) {
+		if (decodeQueryValue(segments[i]).toLowerCase() == term.toLowerCase()) {
+			segments[i] = searchTermsPlaceholder;
+			return segments.join('/');
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Matches a path against a path template and returns the term at the position of the
+ * placeholder (or null, if the path does not match). Trailing slashes are ignored.
+ *
+ * @param {string} templatePath The path template (e.g. '/s/{searchTerms}/').
+ * @param {string} path The path to match (e.g. '/s/term').
+ */
+function matchPath(templatePath, path) {
+	var templateSegments = templatePath.replace(/\/$/, '').split('/');
+	var segments = path.replace(/\/$/, '').split('/');
+
+	if (templateSegments.length != segments.length)
+		return null;
+
+	var term = null;
+	for (var i = 0; i < segments.length; i++) {
+		if (templateSegments[i] == searchTermsPlaceholder)
+			term = decodeQueryValue(segments[i]);
+		else if (templateSegments[i] != segments[i])
+			return null;
+	}
+
+	return term;
+}
+
+/**
+ * Decodes a value from an url (plus signs are spaces in query strings and many search paths).
+ *
+ * @param {string} value The encoded value.
+ */
+function decodeQueryValue(value) {
+	try {
+		return decodeURIComponent(value.replace(/\+/g, ' '));
+	} catch (err) { // Malformed encoding
+		return value;
+	}
+}
\ No newline at end of file
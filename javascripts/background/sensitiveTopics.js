@@ -0,0 +1,95 @@
+/**
+ * @module background script - sensitiveTopics
+ */
+'use strict';
+
+/**
+ * Holds the path to the bundled lexicon of sensitive topics.
+ */
+const sensitiveTopicsPath = '../data/sensitiveTopics.json';
+
+/**
+ * Holds the words of every sensitive topic (category as key), i.e., the bundled words plus the
+ * words added by the user. Entries ending with '*' are prefixes.
+ */
+var sensitiveTopics = {};
+
+/**
+ * Holds a regular expression for every enabled sensitive topic (category as key).
+ */
+var sensitiveTopicPatterns = {};
+
+/**
+ * Loads the bundled sensitive topics together with the words added and the topics disabled by
+ * the user.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadSensitiveTopics(callback) {
+	fetch(sensitiveTopicsPath).then(response => response.json()).then(json => {
+		chrome.storage.sync.get(['sensitiveTopicAdditions', 'disabledSensitiveTopics'], result => {
+			var additions = result.sensitiveTopicAdditions != undefined ?
+				result.sensitiveTopicAdditions : {};
+			var disabled = result.disabledSensitiveTopics != undefined ?
+				result.disabledSensitiveTopics : json.disabledByDefault;
+
+			sensitiveTopics = {};
+			sensitiveTopicPatterns = {};
+			for (const category of Object.keys(Object.assign({}, json.categories, additions))) {
+				var bundled = json.categories[category] != undefined ? json.categories[category] : [];
+				var added = additions[category] != undefined ? additions[category] : [];
+				sensitiveTopics[category] = bundled.concat(added);
+
+				var pattern = compileWordPattern(sensitiveTopics[category]);
+				if (pattern != null && !disabled.includes(category))
+					sensitiveTopicPatterns[category] = pattern;
+			}
+
+			typeof callback === 'function' && callback();
+		});
+	});
+}
+
+/**
+ * Reloads the sensitive topics (and everything which depends on them) whenever the user changes
+ * them on the extension page.
+ */
+function addSensitiveTopicsListener() {
+	chrome.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName == 'sync' && (changes.sensitiveTopicAdditions || changes.disabledSensitiveTopics))
+			loadSensitiveTopics(loadDecoyCategories);
+	});
+}
+
+/**
+ * Returns the first enabled sensitive topic a term belongs to or null, if it belongs to none.
+ *
+ * @param {string} term The term to check.
+ */
+function getSensitiveTopic(term) {
+	var normalized = normalizeTerm(term);
+
+	for (const category of Object.keys(sensitiveTopicPatterns)) {
+		if (normalized.match(sensitiveTopicPatterns[category]) != null)
+			return category;
+	}
+
+	return null;
+}
+
+/**
+ * Checks if a term belongs to a sensitive topic. Rejections are logged on the working page with
+ * the topic which triggered them. The log must not reveal the term, so neither the term nor the
+ * full url (which contains the term) is logged, only the origin of the site.
+ *
+ * @param {string} term The term to check.
+ * @param {string} [url] The url on which the term was found (if any).
+ */
+function isSensitiveTerm(term, url) {
+	var category = getSensitiveTopic(term);
+
+	if (category != null)
+		logStatus(url != undefined ? new URL(url).origin : '&ndash;', 'SENSITIVE', category, '&ndash;');
+
+	return category != null;
+}
\ No newline at end of file
@@ -39,13 +39,38 @@ var todayCount = 0;
  */
 var dailyCounts = [];
 
+/**
+ * Holds the weight of each camouflage strategy (strategy name as key). The weights define how
+ * often a strategy gets chosen for a new tab.
+ */
+var strategyWeights = {};
+
+/**
+ * Defines the minimum distance (between 0 and 1) in meaning between a search term and its decoy.
+ */
+var decoyDistanceThreshold = 0.6;
+
+/**
+ * Holds the names of the enabled suggestion providers in the order in which they are asked for
+ * suggestions (see suggestionProviders.js).
+ */
+var suggestionProviderOrder = [];
+
+/**
+ * Defines the distribution of interests the decoy visits aim for (see interestProfile.js):
+ * 'visits' (every site as often as the most visited one), 'uniform' or 'persona'.
+ */
+var flatteningTarget = 'uniform';
+
 /**
  * Loads the settings (which can be changed by the user).
  * 
  * @param {function} [callback] Optional callback function.
  */
 function loadSettings(callback) {
-	chrome.storage.sync.get(data.availableSettings.concat(['todayCount', 'lastUse', 'dailyCounts']), result => {
+	var keys = data.availableSettings.concat(['todayCount', 'lastUse', 'dailyCounts', 'strategyWeights',
+		'suggestionProviders', 'flatteningTarget']);
+	chrome.storage.sync.get(keys, result => {
 		interval = result.interval != undefined ? parseInt(result.interval) : interval;
 		interval = daysToMilliseconds(interval);
 
@@ -59,6 +84,25 @@ function loadSettings(callback) {
 
 		todayCount = result.todayCount != undefined ? parseInt(result.todayCount) : todayCount;
 
+		var weights = result.strategyWeights != undefined ? result.strategyWeights : {};
+		for (const strategy of data.availableStrategies) { // Every strategy has weight 1 by default
+			strategyWeights[strategy] = weights[strategy] != undefined ? parseInt(weights[strategy]) : 1;
+		}
+
+		decoyDistanceThreshold = result.decoyDistanceThreshold != undefined ?
+			parseInt(result.decoyDistanceThreshold) / 100 : decoyDistanceThreshold;
+
+		flatteningTarget = data.availableFlatteningTargets.includes(result.flatteningTarget) ?
+			result.flatteningTarget : flatteningTarget;
+
+		// Providers which are missing in the stored order (e.g. new ones) are appended and enabled
+		var providers = result.suggestionProviders != undefined ? result.suggestionProviders : [];
+		for (const name of data.availableSuggestionProviders) {
+			if (!providers.some(provider => provider.name == name))
+				providers.push({ name: name, enabled: true });
+		}
+		suggestionProviderOrder = providers.filter(provider => provider.enabled).map(provider => provider.name);
+
 		if (!isToday(new Date(lastUse))) { // Reset every day
 			dailyCounts.push([todayCount, lastUse]);
 			for (var i = dailyCounts.length - 1; i >= 0; i--) {
@@ -112,6 +156,10 @@ function logSettings() {
 		tabLimit = ${tabLimit}, \r\n
 		todayCount = ${todayCount}, \r\n
 		connectionLimit = ${connectionLimit}, \r\n
-		lastUse = ${new Date(lastUse)}`
+		lastUse = ${new Date(lastUse)}, \r\n
+		strategyWeights = ${JSON.stringify(strategyWeights)}, \r\n
+		suggestionProviderOrder = ${suggestionProviderOrder.join(', ')}, \r\n
+		decoyDistanceThreshold = ${decoyDistanceThreshold}, \r\n
+		flatteningTarget = ${flatteningTarget}`
 	);
 }
\ No newline at end of file
@@ -27,15 +27,48 @@ fetch(dataPath).then(response => response.json()).then(json => {
 	if (!debug)
 		handleWindowState();
 
-	// Initializes the database and calls createWindow() when done.
-	initDatabase(createWindow);
+	// Loads the word list of the offline suggestion provider and the sensitive topics first,
+	// because the search terms get filtered by them, the site categories for the interest profile
+	// and the policy, which decides which sites may be visited. Then initializes the database,
+	// prunes the activity log and calls createWindow() when done.
+	loadWordList(() => {
+		loadSensitiveTopics(() => {
+			loadDecoyCategories();
+			loadSiteCategories(() => {
+				loadPolicy(() => {
+					initDatabase(() => {
+						pruneLog();
+						createWindow();
+					});
+				});
+			});
+		});
+	});
+
+	// Reloads the sensitive topics whenever the user changes them.
+	addSensitiveTopicsListener();
 
 	// Listens to third party requests and adds matches to the queue.
 	monitorThirdPartyRequests();
 
+	// Loads the recipes which describe how to search specific sites.
+	loadRecipes();
+
+	// Loads the hit and miss counts of the suggestion cache.
+	loadSuggestionCacheStats();
+
+	// Loads the statistics which are shown on the extension page.
+	loadStatistics();
+
 	// For communication between background and content script.
 	addMessageListener();
 
-	// For opening the extension page when the extension icon is clicked.
+	// For the popup and the badge of the extension icon.
 	addBrowserAction();
+
+	// For pausing, resuming and stopping the engine from the toolbar.
+	addEngineMenu();
+
+	// For camouflaging or excluding the site the user is looking at.
+	addSiteMenu();
 });
\ No newline at end of file
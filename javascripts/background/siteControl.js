@@ -0,0 +1,221 @@
+/**
+ * @module background script - siteControl
+ */
+'use strict';
+
+/**
+ * Defines the entries of the context menu of websites.
+ */
+const siteMenuItems = {
+	siteCamouflage: 'Camouflage this site now',
+	siteExclude: 'Never touch this site',
+	siteDetails: 'Show what FPFool did here'
+};
+
+/**
+ * Defines how many entries of the activity log are shown in the details of a site.
+ */
+const siteLogLimit = 20;
+
+/**
+ * Holds the urls which the user wants to camouflage right now. They get visited even if they are
+ * not in the browser history or have been visited often enough (see connectToUrl).
+ */
+var requestedUrls = [];
+
+/**
+ * Adds the context menu of websites, which camouflages the site, excludes it or shows what
+ * FPFool did there.
+ */
+function addSiteMenu() {
+	for (const id of Object.keys(siteMenuItems)) {
+		chrome.contextMenus.create({
+			id: id,
+			title: siteMenuItems[id],
+			contexts: ['page'],
+			documentUrlPatterns: ['http://*/*', 'https://*/*']
+		});
+	}
+
+	chrome.contextMenus.onClicked.addListener((info, tab) => {
+		switch (info.menuItemId) {
+			case 'siteCamouflage':
+				camouflageSite(info.pageUrl, showSiteMenuError);
+				break;
+			case 'siteExclude':
+				excludeSite(info.pageUrl, showSiteMenuError);
+				break;
+			case 'siteDetails':
+				openSiteDetails(info.pageUrl);
+				break;
+			default:
+				return; // Not an entry of the site menu
+		}
+	});
+}
+
+/**
+ * Shows the error of an entry of the site menu on the toolbar button, since a context menu can
+ * not show any messages itself.
+ *
+ * @param {string} error The error message (empty, if there is none).
+ */
+function showSiteMenuError(error) {
+	if (error != '')
+		setToolbarError(error);
+}
+
+/**
+ * Puts a site at the front of the queue, so it gets visited next. The callback gets an error
+ * message, which is empty if the site has been queued.
+ *
+ * @param {string} url The url of the site.
+ * @param {function} [callback] Optional callback function with the error message as parameter.
+ */
+function camouflageSite(url, callback) {
+	var error = '';
+
+	if (url == undefined || !url.startsWith('http')) {
+		error = 'Only websites can be camouflaged.';
+	} else if (engineState == engineStates.IDLE) {
+		error = 'FPFool is stopped. Please start it first.';
+	} else {
+		var rule = findBlockingRule(url);
+		if (rule != undefined)
+			error = `The policy blocks this site (${rule.type}: ${rule.value}).`;
+	}
+
+	if (error != '') {
+		typeof callback === 'function' && callback(error);
+		return;
+	}
+
+	var target = removeParamsFromUrl(url);
+	queue.unshift(target);
+
+	if (!requestedUrls.includes(target))
+		requestedUrls.push(target);
+
+	startConnectLoop();
+	typeof callback === 'function' && callback('');
+}
+
+/**
+ * Checks if the user wants to camouflage an url right now (see camouflageSite). The url counts
+ * only once.
+ *
+ * @param {string} url The url to check.
+ */
+function takeRequestedUrl(url) {
+	if (!requestedUrls.includes(url))
+		return false;
+
+	requestedUrls = requestedUrls.filter(elem => elem != url);
+	return true;
+}
+
+/**
+ * Adds a deny rule for the domain of a site to the policy and closes the decoy tabs which are
+ * open on the domain. The callback gets an error message, which is empty if the rule has been
+ * added.
+ *
+ * @param {string} url The url of the site.
+ * @param {function} [callback] Optional callback function with the error message as parameter.
+ */
+function excludeSite(url, callback) {
+	if (url == undefined || !url.startsWith('http')) {
+		typeof callback === 'function' && callback('Only websites can be excluded.');
+		return;
+	}
+
+	addPolicyRule({
+		action: 'deny',
+		type: 'glob',
+		value: getKeyFromUrl(url).substring('www.'.length)
+	}, error => {
+		if (error == '') {
+			for (const tab of currentTabs) {
+				if (tab.id != -1 && findBlockingRule(tab.startUrl) != undefined)
+					endTab(tab.id);
+			}
+		}
+
+		typeof callback === 'function' && callback(error);
+	});
+}
+
+/**
+ * Opens the details of a site on the extension page.
+ *
+ * @param {string} url The url of the site.
+ */
+function openSiteDetails(url) {
+	var host = url != undefined && url.startsWith('http') ? getKeyFromUrl(url) : '';
+
+	chrome.tabs.create({
+		url: chrome.runtime.getURL(`./html/extensionPage.html#site=${encodeURIComponent(host)}`)
+	});
+}
+
+/**
+ * Collects what FPFool knows about a site and what it did there: the stored search terms, the
+ * search parameter, the third parties, the real and decoy visits, the policy rule which blocks
+ * the site (if any) and the latest entries of the activity log. The details contain an error
+ * message, which is empty if the hostname is valid.
+ *
+ * @param {string} host The hostname of the site (entered by the user).
+ * @param {function} callback Mandatory callback function with the details as parameter.
+ */
+function getSiteDetails(host, callback) {
+	var key;
+	try {
+		key = getKeyFromUrl(`${host}`.trim());
+	} catch (err) { // Neither an url nor a hostname
+		callback({
+			error: `"${host}" is not a valid hostname.`
+		});
+		return;
+	}
+
+	getFromDatabase('searchTerms', key, terms => {
+		getFromDatabase('searchParams', key, params => {
+			getFromDatabase('thirdParties', key, thirdParties => {
+				getLogEntries({ site: key }, entries => {
+					var visits = getSiteVisits(key);
+
+					callback({
+						error: '',
+						host: key,
+						searchTerms: terms != undefined ? terms.value : [],
+						searchParam: describeSearchParam(params),
+						thirdParties: thirdParties != undefined ? Array.from(new Set(
+							thirdParties.value.map(url => new URL(url).hostname))) : [],
+						realVisits: visits.real,
+						decoyVisits: visits.decoy,
+						blockingRule: findBlockingRule(`https://${key}/`),
+						logEntries: entries.slice(-siteLogLimit).reverse()
+					});
+				});
+			});
+		});
+	});
+}
+
+/**
+ * Describes the search parameter of a site: undefined if it is not known yet, an empty string if
+ * the site can not be searched, otherwise { template, source }.
+ *
+ * @param {Object} params The entry of the site in the 'searchParams' objectStore.
+ */
+function describeSearchParam(params) {
+	if (params == undefined)
+		return undefined;
+
+	if (params.value[0] === '')
+		return '';
+
+	return {
+		template: getSearchTemplate(params),
+		source: params.value[0].source
+	};
+}
\ No newline at end of file
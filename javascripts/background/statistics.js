@@ -0,0 +1,162 @@
+/**
+ * @module background script - statistics
+ */
+'use strict';
+
+/**
+ * Defines how long changes of the statistics are collected before they get saved (5 seconds),
+ * because trackers see many requests of every decoy tab.
+ */
+const statisticsSaveDelay = 5000;
+
+/**
+ * Holds the timer which saves the statistics (undefined, if no changes are waiting).
+ */
+var statisticsSaveTimer;
+
+/**
+ * Holds the statistics which are shown on the statistics tab of the extension page:
+ * decoyVisits: the times of the decoy visits of every site (hostname as key),
+ * realVisits: the real visits of every site within the interval (hostname as key),
+ * searches: how many searches have been performed and how many have failed,
+ * trackers: how many requests of decoy tabs every third party has seen (hostname as key).
+ */
+var statistics = {
+	decoyVisits: {},
+	realVisits: {},
+	searches: {
+		performed: 0,
+		failed: 0
+	},
+	trackers: {}
+};
+
+/**
+ * Loads the statistics from the local storage.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadStatistics(callback) {
+	chrome.storage.local.get('statistics', result => {
+		statistics = Object.assign(statistics, result.statistics);
+		typeof callback === 'function' && callback();
+	});
+}
+
+/**
+ * Saves the statistics in the local storage after a short delay. Further changes within the delay
+ * are saved together.
+ */
+function saveStatistics() {
+	if (statisticsSaveTimer != undefined) // Already waiting
+		return;
+
+	statisticsSaveTimer = setTimeout(() => {
+		statisticsSaveTimer = undefined;
+		chrome.storage.local.set({
+			statistics: statistics
+		});
+	}, statisticsSaveDelay);
+}
+
+/**
+ * Counts a decoy visit of a site. Decoy visits which are older than the interval are removed,
+ * because the visits of the browser history are only counted within the interval as well.
+ *
+ * @param {string} url The url which was visited.
+ */
+function countDecoyVisit(url) {
+	var key = getKeyFromUrl(url);
+
+	var times = statistics.decoyVisits[key] != undefined ? statistics.decoyVisits[key] : [];
+	statistics.decoyVisits[key] = times.filter(time => time >= startTime);
+
+	statistics.decoyVisits[key].push((new Date).getTime());
+	saveStatistics();
+}
+
+/**
+ * Saves the real visits of every site, which have been counted in the browser history. The
+ * browser history contains the decoy visits up to now as well, so they are subtracted.
+ *
+ * @param {Object} counts The visits of every site in the browser history (hostname as key).
+ */
+function countRealVisits(counts) {
+	statistics.realVisits = {};
+
+	for (const key of Object.keys(counts)) {
+		statistics.realVisits[key] = Math.max(counts[key] - getSiteVisits(key).decoy, 0);
+	}
+
+	saveStatistics();
+}
+
+/**
+ * Counts the actions reported by the content scripts (see updateStatus), as far as they are
+ * part of the statistics.
+ *
+ * @param {Object} request The status message of the content script.
+ */
+function countAction(request) {
+	switch (request.type) {
+		case 'SEARCH':
+			statistics.searches.performed++;
+			break;
+		case 'SEARCHFAIL':
+			statistics.searches.failed++;
+			break;
+		default:
+			return; // Not part of the statistics
+	}
+
+	saveStatistics();
+}
+
+/**
+ * Counts a third party request of a decoy tab, i.e., a tracker which has seen decoy traffic.
+ *
+ * @param {Object} det The details of the request (see chrome.webRequest).
+ */
+function countTrackerRequest(det) {
+	if (det.tabId < 0 || det.initiator == undefined) // Not requested by a tab
+		return;
+
+	if (!currentTabs.concat(specialTabs).some(tab => tab.id == det.tabId)) // Not a decoy tab
+		return;
+
+	// Not only http(s), but also e.g. WebSocket requests (ws: and wss:) reach third parties, so
+	// the key gets built like getKeyFromUrl does for http(s)
+	var host = new URL(det.url).hostname;
+	var key = host.startsWith('www.') ? host : `www.${host}`;
+	if (key == getKeyFromUrl(det.initiator)) // First party request
+		return;
+
+	statistics.trackers[key] = statistics.trackers[key] != undefined ? statistics.trackers[key] + 1 : 1;
+	saveStatistics();
+}
+
+/**
+ * Returns the real and the decoy visits of a site within the interval: { real, decoy }.
+ *
+ * @param {string} key The key of the site (see getKeyFromUrl).
+ */
+function getSiteVisits(key) {
+	var times = statistics.decoyVisits[key] != undefined ? statistics.decoyVisits[key] : [];
+
+	return {
+		real: statistics.realVisits[key] != undefined ? statistics.realVisits[key] : 0,
+		decoy: times.filter(time => time >= startTime).length
+	};
+}
+
+/**
+ * Collects the real and the decoy visits of every site within the interval (see getSiteVisits).
+ *
+ * @param {function} callback Mandatory callback function with the sites as parameter.
+ */
+function getSiteStatistics(callback) {
+	var hosts = Object.keys(Object.assign({}, statistics.realVisits, statistics.decoyVisits));
+	var sites = hosts.map(host => Object.assign({ host: host }, getSiteVisits(host)));
+
+	callback(sites.filter(site => site.real + site.decoy > 0));
+}
\ No newline at end of file
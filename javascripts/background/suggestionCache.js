@@ -0,0 +1,116 @@
+/**
+ * @module background script - suggestionCache
+ */
+'use strict';
+
+/**
+ * Defines how long (in milliseconds) a cached suggestion response stays valid (one week).
+ */
+const suggestionCacheTTL = daysToMilliseconds(7);
+
+/**
+ * Defines the maximum number of cached responses. If there are more, the least recently used
+ * responses get evicted.
+ */
+const suggestionCacheSize = 1000;
+
+/**
+ * Holds the number of cache hits and misses (persisted in the local storage).
+ */
+var suggestionCacheStats = {
+	hits: 0,
+	misses: 0
+};
+
+/**
+ * Loads the cache statistics from the local storage.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadSuggestionCacheStats(callback) {
+	chrome.storage.local.get('suggestionCacheStats', result => {
+		if (result.suggestionCacheStats != undefined)
+			suggestionCacheStats = result.suggestionCacheStats;
+
+		typeof callback === 'function' && callback();
+	});
+}
+
+/**
+ * Returns the cached suggestions for a request url. The callback gets null, if the response is
+ * not cached or expired.
+ *
+ * @param {string} url The request url.
+ * @param {function} callback Mandatory callback function with the suggestions as parameter.
+ */
+function getCachedSuggestions(url, callback) {
+	getFromDatabase('suggestionCache', url, result => {
+		var now = (new Date).getTime();
+		var entry = result != undefined ? result.value[0] : undefined;
+
+		if (entry == undefined || now - entry.created > suggestionCacheTTL) {
+			countSuggestionCacheAccess('misses');
+			callback(null);
+			return;
+		}
+
+		countSuggestionCacheAccess('hits');
+
+		// Remember the usage for the eviction of least recently used entries
+		entry.lastUsed = now;
+		storeInDatabase('suggestionCache', url, entry, false);
+
+		callback(entry.suggestions);
+	});
+}
+
+/**
+ * Saves the suggestions for a request url in the cache and evicts the least recently used
+ * responses, if the cache is full.
+ *
+ * @param {string} url The request url.
+ * @param {string[]} suggestions The suggestions of the response.
+ * @param {function} [callback] Optional callback function.
+ */
+function cacheSuggestions(url, suggestions, callback) {
+	var now = (new Date).getTime();
+
+	storeInDatabase('suggestionCache', url, {
+		suggestions: suggestions,
+		created: now,
+		lastUsed: now
+	}, false, () => {
+		getAllDatabaseEntries('suggestionCache', entries => {
+			if (entries.length <= suggestionCacheSize) {
+				typeof callback === 'function' && callback();
+				return;
+			}
+
+			// Expired entries first, then the least recently used ones
+			entries.sort((a, b) => {
+				var aExpired = now - a.value[0].created > suggestionCacheTTL;
+				var bExpired = now - b.value[0].created > suggestionCacheTTL;
+				if (aExpired != bExpired)
+					return aExpired ? -1 : 1;
+
+				return a.value[0].lastUsed - b.value[0].lastUsed;
+			});
+
+			var evicted = entries.slice(0, entries.length - suggestionCacheSize).map(entry => entry.url);
+			removeFromDatabase('suggestionCache', evicted, callback);
+		});
+	});
+}
+
+/**
+ * Counts a cache hit or miss and saves the statistics in the local storage.
+ *
+ * @param {string} type Either 'hits' or 'misses'.
+ */
+function countSuggestionCacheAccess(type) {
+	suggestionCacheStats[type]++;
+
+	chrome.storage.local.set({
+		suggestionCacheStats: suggestionCacheStats
+	});
+}
\ No newline at end of file
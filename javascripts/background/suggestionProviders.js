@@ -0,0 +1,244 @@
+/**
+ * @module background script - suggestionProviders
+ */
+'use strict';
+
+/**
+ * Holds the path to the word list which is used by the offline provider.
+ */
+const wordListPath = '../data/wordlist.json';
+
+/**
+ * Defines how many suggestions the offline provider returns per request.
+ */
+const offlineSuggestionCount = 10;
+
+/**
+ * Holds the words of the offline provider, grouped by topic (topic as key).
+ */
+var wordList = {};
+
+/**
+ * Holds the available suggestion providers (name as key). Online providers have a function which
+ * returns the request url for a term and a parser for the response, the offline provider answers
+ * requests by itself.
+ */
+const suggestionProviders = {
+	google: {
+		url: term => 'https://suggestqueries.google.com/complete/search?client=firefox' +
+			`&q=${encodeURIComponent(term)}`,
+		parse: parseOpenSearchSuggestions
+	},
+	duckduckgo: {
+		url: term => `https://duckduckgo.com/ac/?q=${encodeURIComponent(term)}`,
+		parse: parseDuckDuckGoSuggestions
+	},
+	bing: {
+		url: term => `https://api.bing.com/osjson.aspx?query=${encodeURIComponent(term)}`,
+		parse: parseOpenSearchSuggestions
+	},
+	wikipedia: {
+		url: term => 'https://en.wikipedia.org/w/api.php?action=query&list=prefixsearch&format=json' +
+			`&pslimit=10&pssearch=${encodeURIComponent(term)}`,
+		parse: parseWikipediaSuggestions
+	},
+	offline: {
+		request: (term, callback) => {
+			callback(getOfflineSuggestions(term));
+		}
+	}
+};
+
+/**
+ * Loads the word list of the offline provider.
+ *
+ * @param {function} [callback] Optional callback function.
+ */
+function loadWordList(callback) {
+	fetch(wordListPath).then(response => response.json()).then(json => {
+		wordList = json.topics;
+		typeof callback === 'function' && callback();
+	});
+}
+
+/**
+ * Requests suggestions for a given term. The providers are asked in the order chosen by the user,
+ * if a provider fails or has no suggestions, the next one is asked. The callback gets an empty
+ * array, if no provider has a suggestion.
+ *
+ * @param {string} term The term which should get completed.
+ * @param {function} callback Mandatory callback function with the suggestions as parameter.
+ */
+function requestSuggestions(term, callback) {
+	var providers = suggestionProviderOrder.filter(name => suggestionProviders[name] != undefined);
+
+	var tryProvider = index => {
+		if (index >= providers.length) {
+			callback([]);
+			return;
+		}
+
+		var provider = suggestionProviders[providers[index]];
+		var onResponse = suggestions => {
+			if (suggestions == null || suggestions.length == 0) {
+				if (debug)
+					console.log(`Suggestion provider ${providers[index]} failed for "${term}".`);
+
+				tryProvider(index + 1);
+			} else {
+				callback(suggestions);
+			}
+		};
+
+		if (provider.request != undefined)
+			provider.request(term, onResponse);
+		else
+			requestOnlineProvider(providers[index], term, onResponse);
+	};
+
+	tryProvider(0);
+}
+
+/**
+ * Requests suggestions from an online provider. Responses are cached and requests are rate
+ * limited per provider. Providers which are backing off after errors are skipped (the callback
+ * gets null).
+ *
+ * @param {string} name The name of the provider.
+ * @param {string} term The term which should get completed.
+ * @param {function} callback Mandatory callback function with the suggestions as parameter.
+ */
+function requestOnlineProvider(name, term, callback) {
+	var provider = suggestionProviders[name];
+	var url = provider.url(term);
+
+	getCachedSuggestions(url, cached => {
+		if (cached != null) {
+			callback(cached);
+			return;
+		}
+
+		if (isBackingOff(name)) {
+			callback(null);
+			return;
+		}
+
+		acquireToken(name, () => {
+			requestSuggestionAPI(url, provider.parse, suggestions => {
+				recordRequestResult(name, suggestions != null);
+
+				if (suggestions != null)
+					cacheSuggestions(url, suggestions);
+
+				callback(suggestions);
+			});
+		});
+	});
+}
+
+/**
+ * Requests a suggestion API and parses its response. The callback gets null, if the request or
+ * the parsing failed.
+ *
+ * @param {string} url The url of the request (including the term).
+ * @param {function} parse Function which turns the response text into an array of suggestions.
+ * @param {function} callback Mandatory callback function with the suggestions as parameter.
+ */
+function requestSuggestionAPI(url, parse, callback) {
+	var xmlHttp = new XMLHttpRequest();
+	xmlHttp.open('GET', url, true);
+
+	xmlHttp.onreadystatechange = () => {
+		if (xmlHttp.readyState != 4)
+			return;
+
+		// Status is 0, if the request failed (e.g. offline), or 429, if we sent too many requests
+		if (xmlHttp.status != 200) {
+			callback(null);
+			return;
+		}
+
+		try {
+			callback(parse(xmlHttp.responseText));
+		} catch (err) {
+			callback(null);
+		}
+	};
+
+	xmlHttp.send();
+}
+
+/**
+ * Parses a response in the OpenSearch suggestions format, which is used by most suggestion APIs.
+ * The response looks like this (for term 'hello'):
+ * ["hello",["hello fresh","hello body","hello kitty",...]]
+ *
+ * @param {string} text Response text from the API request.
+ */
+function parseOpenSearchSuggestions(text) {
+	var json = JSON.parse(text);
+
+	if (!Array.isArray(json) || !Array.isArray(json[1]))
+		throw new Error('Unexpected suggestion format');
+
+	return json[1].filter(suggestion => typeof suggestion === 'string').map(s => s.trim());
+}
+
+/**
+ * Parses a response of the DuckDuckGo suggestion API, which looks like this:
+ * [{"phrase":"hello fresh"},{"phrase":"hello kitty"},...]
+ *
+ * @param {string} text Response text from the API request.
+ */
+function parseDuckDuckGoSuggestions(text) {
+	var json = JSON.parse(text);
+
+	if (!Array.isArray(json))
+		throw new Error('Unexpected suggestion format');
+
+	return json.filter(entry => typeof entry.phrase === 'string').map(entry => entry.phrase.trim());
+}
+
+/**
+ * Parses a response of the Wikipedia prefix search, which looks like this:
+ * {"query":{"prefixsearch":[{"ns":0,"title":"Hello Kitty","pageid":...},...]}}
+ *
+ * @param {string} text Response text from the API request.
+ */
+function parseWikipediaSuggestions(text) {
+	var json = JSON.parse(text);
+
+	if (json.query == undefined || !Array.isArray(json.query.prefixsearch))
+		throw new Error('Unexpected suggestion format');
+
+	// Titles are capitalized, but search terms usually are not
+	return json.query.prefixsearch.map(entry => entry.title.toLowerCase().trim());
+}
+
+/**
+ * Returns suggestions from the offline word list. Every suggestion consists of words of a single
+ * topic and has as many words as the given term, so they look like real search terms.
+ *
+ * @param {string} term The term for which we want suggestions.
+ */
+function getOfflineSuggestions(term) {
+	var topics = Object.keys(wordList);
+	if (topics.length == 0)
+		return null; // Word list not loaded
+
+	var length = countWords(term);
+	var suggestions = [];
+
+	for (var i = 0; i < offlineSuggestionCount; i++) {
+		var words = wordList[topics[Math.floor(Math.random() * topics.length)]].slice();
+		var suggestion = [];
+
+		while (suggestion.length < length && words.length > 0) {
+			suggestion.push(words.splice(Math.floor(Math.random() * words.length), 1)[0]);
+		}
+
+		suggestions.push(suggestion.join(' '));
+	}
+
+	return suggestions;
+}
\ No newline at end of file
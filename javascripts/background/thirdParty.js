@@ -13,6 +13,8 @@ function monitorThirdPartyRequests() {
 	};
 
 	chrome.webRequest.onBeforeRequest.addListener(det => {
+		countTrackerRequest(det);
+
 		if (det.type == 'script' && det.initiator != undefined) {
 			var key = getKeyFromUrl(det.initiator);
 			var res = getKeyFromUrl(det.url);
@@ -45,7 +47,8 @@ function processRequest(det) {
 		// Find other websites that use the same third party and are not added to the queue yet
 		for (const entry of result) {
 			if (!entry.url.includes(getKeyFromUrl(det.initiator)) &&
-				entry.value.includes(det.url) && !queue.includes(entry.url)) {
+				entry.value.includes(det.url) && !queue.includes(entry.url) &&
+				engineState != engineStates.IDLE && passesPolicy(entry.url)) {
 				
 				queue.push(entry.url);
 
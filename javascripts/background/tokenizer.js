@@ -0,0 +1,149 @@
+/**
+ * @module background script - tokenizer
+ */
+'use strict';
+
+/**
+ * Defines the locales of the scripts (and letters) which tell the language of a term. The first
+ * matching entry wins. If the language of the browser is one of its locales, the language of the
+ * browser is used, otherwise the first locale. Terms which match no entry (e.g. Latin script
+ * without Turkish letters) have the language of the browser.
+ */
+const scriptLocales = [
+	{ pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, locales: ['ja'] },
+	{ pattern: /\p{Script=Hangul}/u, locales: ['ko'] },
+	{ pattern: /\p{Script=Han}/u, locales: ['zh', 'ja'] },
+	{ pattern: /\p{Script=Thai}/u, locales: ['th'] },
+	{ pattern: /\p{Script=Cyrillic}/u, locales: ['ru', 'uk', 'be', 'bg', 'mk', 'sr', 'kk'] },
+	{ pattern: /\p{Script=Greek}/u, locales: ['el'] },
+	{ pattern: /\p{Script=Arabic}/u, locales: ['ar', 'fa', 'ur'] },
+	{ pattern: /\p{Script=Hebrew}/u, locales: ['he'] },
+	{ pattern: /[ıİğĞşŞ]/u, locales: ['tr', 'az'] }
+];
+
+/**
+ * Holds the word segmenters which have been created so far (locale as key).
+ */
+var wordSegmenters = {};
+
+/**
+ * Detects the locale of a term from its script, so that terms in another language than the one
+ * of the browser are split and normalized by their own rules (see scriptLocales).
+ *
+ * @param {string} term The term.
+ */
+function detectLocale(term) {
+	var entry = scriptLocales.find(elem => elem.pattern.test(term));
+	if (entry == undefined)
+		return navigator.language;
+
+	var language = navigator.language.split('-')[0].toLowerCase();
+	return entry.locales.includes(language) ? navigator.language : entry.locales[0];
+}
+
+/**
+ * Splits a term into its words and returns every word together with its position in the term.
+ * Uses Intl.Segmenter where available, so languages without spaces between words (e.g. Chinese
+ * and Japanese) are split as well. Otherwise, the term is split at any kind of whitespace.
+ *
+ * @param {string} term The term to split.
+ * @param {string} [locale] The locale of the term (default: detected from the term).
+ */
+function segmentWords(term, locale = detectLocale(term)) {
+	if (typeof Intl.Segmenter === 'function') {
+		if (wordSegmenters[locale] == undefined)
+			wordSegmenters[locale] = new Intl.Segmenter(locale, { granularity: 'word' });
+
+		return Array.from(wordSegmenters[locale].segment(term))
+			.filter(segment => segment.isWordLike)
+			.map(segment => ({ word: segment.segment, index: segment.index }));
+	}
+
+	var words = [];
+	var regex = /[^\s]+/g; // \s includes tabs, non-breaking and ideographic spaces
+	var match;
+	while ((match = regex.exec(term)) != null) {
+		words.push({ word: match[0], index: match.index });
+	}
+
+	return words;
+}
+
+/**
+ * Splits a term into its words (see segmentWords).
+ *
+ * @param {string} term The term to split.
+ * @param {string} [locale] The locale of the term (default: detected from the term).
+ */
+function tokenize(term, locale = detectLocale(term)) {
+	return segmentWords(term, locale).map(segment => segment.word);
+}
+
+/**
+ * Returns the number of words of a term.
+ *
+ * @param {string} term The term.
+ * @param {string} [locale] The locale of the term (default: detected from the term).
+ */
+function countWords(term, locale = detectLocale(term)) {
+	return segmentWords(term, locale).length;
+}
+
+/**
+ * Normalizes a word for comparisons: converts it to lower case (according to the rules of the
+ * locale, e.g. the Turkish dotless i) and removes diacritics like accents and umlauts. Marks of
+ * other scripts (e.g. Japanese dakuten) change the meaning of a word, so they are kept.
+ *
+ * @param {string} word The word to normalize.
+ * @param {string} [locale] The locale of the word (default: detected from the word).
+ */
+function normalizeWord(word, locale = detectLocale(word)) {
+	return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC').toLocaleLowerCase(locale);
+}
+
+/**
+ * Normalizes every word of a term (see normalizeWord) and joins them with single spaces.
+ *
+ * @param {string} term The term to normalize.
+ * @param {string} [locale] The locale of the term (default: detected from the term).
+ */
+function normalizeTerm(term, locale = detectLocale(term)) {
+	return normalizeWords(term, locale).join(' ');
+}
+
+/**
+ * Splits a term into its words and normalizes every word by the locale of the whole term (see
+ * normalizeWord).
+ *
+ * @param {string} term The term to split.
+ * @param {string} [locale] The locale of the term (default: detected from the term).
+ */
+function normalizeWords(term, locale = detectLocale(term)) {
+	return tokenize(term, locale).map(word => normalizeWord(word, locale));
+}
+
+/**
+ * Compiles a list of words into a regular expression, which matches these words in a normalized
+ * term (see normalizeTerm). Words ending with '*' are prefixes, all other words may be in plural.
+ * Returns null, if the list is empty.
+ *
+ * @param {string[]} entries The words (or phrases) to match.
+ */
+function compileWordPattern(entries) {
+	var alternatives = [];
+
+	for (const entry of entries) {
+		var prefix = entry.endsWith('*');
+		var word = normalizeTerm(prefix ? entry.slice(0, -1) : entry);
+		if (word == '')
+			continue; // Only punctuation, nothing to match
+
+		var escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		alternatives.push(prefix ? `${escaped}\\S*` : `${escaped}(?:s|es)?`);
+	}
+
+	if (alternatives.length == 0)
+		return null;
+
+	return new RegExp(`(?:^|\\s)(?:${alternatives.join('|')})(?=\\s|$)`, 'g');
+}
\ No newline at end of file
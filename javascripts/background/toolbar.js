@@ -0,0 +1,123 @@
+/**
+ * @module background script - toolbar
+ */
+'use strict';
+
+/**
+ * Defines the name of the port through which the popup of the extension icon subscribes to the
+ * state of the extension.
+ */
+const toolbarPortName = 'toolbar';
+
+/**
+ * Defines how often (in milliseconds) the state gets checked for changes while a popup is open.
+ * Changes of the engine state and of the count are sent instantly (see updateToolbar).
+ */
+const toolbarInterval = 1000;
+
+/**
+ * Defines the colors of the badge on the extension icon.
+ */
+const badgeColors = {
+	active: '#007bff',
+	inactive: '#6c757d',
+	error: '#dc3545'
+};
+
+/**
+ * Holds the ports of the open popups.
+ */
+var toolbarPorts = [];
+
+/**
+ * Holds the timer which checks the state for changes while a popup is open.
+ */
+var toolbarTimer;
+
+/**
+ * Holds the last state which has been sent to the popups, so only changes get sent.
+ */
+var lastToolbarState = '';
+
+/**
+ * Holds the last error of the engine (empty if everything works), e.g. if no tab could be
+ * opened in the hidden window.
+ */
+var toolbarError = '';
+
+/**
+ * Sets up the badge on the extension icon and accepts the subscriptions of the popup.
+ */
+function addBrowserAction() {
+	chrome.runtime.onConnect.addListener(port => {
+		if (port.name != toolbarPortName)
+			return; // Not a popup
+
+		toolbarPorts.push(port);
+		port.postMessage(getToolbarState());
+
+		if (toolbarTimer == undefined)
+			toolbarTimer = setInterval(updateToolbar, toolbarInterval);
+
+		port.onDisconnect.addListener(() => {
+			toolbarPorts = toolbarPorts.filter(elem => elem != port);
+
+			if (toolbarPorts.length == 0) {
+				clearInterval(toolbarTimer);
+				toolbarTimer = undefined;
+			}
+		});
+	});
+
+	updateToolbar();
+}
+
+/**
+ * Returns the state which the popup shows.
+ */
+function getToolbarState() {
+	return {
+		engineState: engineState,
+		todayCount: todayCount,
+		connectionLimit: connectionLimit,
+		queueLength: queue.length,
+		error: toolbarError
+	};
+}
+
+/**
+ * Updates the badge and sends the state to the open popups, if it has changed.
+ */
+function updateToolbar() {
+	var state = getToolbarState();
+	var serialized = JSON.stringify(state);
+	if (serialized == lastToolbarState)
+		return;
+
+	lastToolbarState = serialized;
+
+	chrome.browserAction.setBadgeText({
+		text: state.error != '' ? '!' : state.todayCount > 0 ? `${state.todayCount}` : ''
+	});
+	chrome.browserAction.setBadgeBackgroundColor({
+		color: state.error != '' ? badgeColors.error :
+			state.engineState == engineStates.RUNNING ? badgeColors.active : badgeColors.inactive
+	});
+	chrome.browserAction.setTitle({
+		title: state.error != '' ? `FPFool: ${state.error}` : 'FPFool'
+	});
+
+	for (const port of toolbarPorts) {
+		port.postMessage(state);
+	}
+}
+
+/**
+ * Shows an error on the badge (or removes it, if the message is empty).
+ *
+ * @param {string} message The error message.
+ */
+function setToolbarError(message) {
+	toolbarError = message;
+	updateToolbar();
+}
\ No newline at end of file
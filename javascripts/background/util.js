@@ -68,4 +68,38 @@ function isToday(date) {
 	return date.getDate() == today.getDate()
 		&& date.getMonth() == today.getMonth()
 		&& date.getFullYear() == today.getFullYear();
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates shuffle).
+ * 
+ * @param {Object[]} arr The array to shuffle.
+ */
+function shuffle(arr) {
+	var copy = arr.slice();
+
+	for (var i = copy.length - 1; i > 0; i--) {
+		var j = Math.floor(Math.random() * (i + 1));
+		[copy[i], copy[j]] = [copy[j], copy[i]];
+	}
+
+	return copy;
+}
+
+/**
+ * Saves an action performed by the background script in the activity log, which also shows it on
+ * the working page (the content scripts use updateStatus for their actions).
+ * 
+ * @param {string} url The url on which the action was performed.
+ * @param {string} type The type of the action.
+ * @param {string} searchTerm The term (or other details) of the action.
+ * @param {string} toUrl The url to which we got directed (if we got directed at all).
+ */
+function logStatus(url, type, searchTerm, toUrl) {
+	recordAction({
+		url: url,
+		type: type,
+		searchTerm: searchTerm,
+		toUrl: toUrl
+	});
 }
\ No newline at end of file
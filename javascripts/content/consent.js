@@ -0,0 +1,201 @@
+/**
+ * @module content script - consent
+ */
+'use strict';
+
+/**
+ * Defines how long we wait for a consent wall to show up (in milliseconds). Most consent
+ * management platforms inject their banner asynchronously after the page has loaded.
+ */
+const consentTimeout = 3000;
+
+/**
+ * Defines the interval (in milliseconds) in which we look for a consent wall.
+ */
+const consentPollInterval = 250;
+
+/**
+ * Holds the selector for elements which might contain a consent banner or an interstitial of an
+ * unknown platform.
+ */
+const consentContainers = '[id*=cookie i], [class*=cookie i], [id*=consent i], [class*=consent i], ' +
+	'[id*=gdpr i], [class*=gdpr i], [id*=age-gate i], [class*=age-gate i], [role=dialog], [aria-modal=true]';
+
+/**
+ * Holds the selector for clickable elements inside of a consent wall.
+ */
+const consentButtons = 'button, a, [role=button], input[type=button], input[type=submit]';
+
+/**
+ * Defines the policy which is applied if the user did not choose one.
+ */
+const defaultConsentPolicy = 'accept';
+
+/**
+ * Looks for a cookie consent banner or an interstitial (age or region gate) on the current page
+ * and applies the policy chosen by the user ('accept', 'reject' or 'leave'). The outcome is
+ * reported to the working page.
+ *
+ * @param {Object} context Response from background script (contains the seed of this tab).
+ * @param {function} [callback] Optional callback function, executed when done.
+ */
+function handleConsent(context, callback) {
+	var random = createRandom(context.seed != undefined ? context.seed : Date.now());
+
+	chrome.storage.sync.get('consentPolicy', result => {
+		var policy = result.consentPolicy != undefined ? result.consentPolicy : defaultConsentPolicy;
+
+		waitForConsentWall(wall => {
+			if (wall == null) {
+				typeof callback === 'function' && callback();
+				return;
+			}
+
+			applyConsentPolicy(wall, policy, random, callback);
+		});
+	});
+}
+
+/**
+ * Waits until a consent wall shows up. The callback gets null, if there is none.
+ *
+ * @param {function} callback Mandatory callback function with the consent wall as parameter.
+ */
+function waitForConsentWall(callback) {
+	var end = Date.now() + consentTimeout;
+
+	var check = () => {
+		var wall = findConsentWall();
+		if (wall != null || Date.now() >= end)
+			callback(wall);
+		else
+			setTimeout(check, consentPollInterval);
+	};
+
+	check();
+}
+
+/**
+ * Returns the consent wall on the current page or null, if there is none. A consent wall
+ * contains the name of the platform, its kind ('consent' or 'interstitial') and the buttons to
+ * accept and reject (null, if there is no such button).
+ */
+function findConsentWall() {
+	// Known consent management platforms first, their buttons are reliable
+	for (const platform of data.consentPlatforms) {
+		var banner = document.querySelector(platform.banner);
+		if (banner != null && isDisplayed(banner)) {
+			return {
+				name: platform.name,
+				kind: 'consent',
+				accept: document.querySelector(platform.accept),
+				reject: platform.reject != undefined ? document.querySelector(platform.reject) : null
+			};
+		}
+	}
+
+	var patterns = {};
+	for (const key of Object.keys(data.consentPatterns)) {
+		patterns[key] = new RegExp(data.consentPatterns[key], 'i');
+	}
+
+	var containers = Array.from(document.querySelectorAll(consentContainers)).filter(isDisplayed);
+
+	for (const container of containers) {
+		var buttons = Array.from(container.querySelectorAll(consentButtons)).filter(isDisplayed);
+		var text = container.textContent;
+
+		if (patterns.interstitial.test(text)) {
+			return {
+				name: 'interstitial',
+				kind: 'interstitial',
+				accept: findButton(buttons, patterns.confirm, null),
+				reject: null
+			};
+		}
+
+		if (patterns.banner.test(text)) {
+			var accept = findButton(buttons, patterns.accept, patterns.reject);
+			var reject = findButton(buttons, patterns.reject, null);
+
+			if (accept != null || reject != null) {
+				return {
+					name: 'unknown platform',
+					kind: 'consent',
+					accept: accept,
+					reject: reject
+				};
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Applies the policy of the user to a consent wall. Interstitials can only be passed (there is
+ * nothing to reject), so they are left unless the policy is 'accept'.
+ *
+ * @param {Object} wall The consent wall (see findConsentWall).
+ * @param {string} policy The policy of the user.
+ * @param {function} random The random number generator to use (see interaction.js).
+ * @param {function} [callback] Optional callback function, executed when done.
+ */
+function applyConsentPolicy(wall, policy, random, callback) {
+	if (policy == 'leave' || (wall.kind == 'interstitial' && policy != 'accept')) {
+		updateStatus(location.href, 'CONSENTLEAVE', wall.name, '&ndash;');
+		typeof callback === 'function' && callback();
+		return;
+	}
+
+	var button = policy == 'reject' ? wall.reject : wall.accept;
+	if (button == null) {
+		updateStatus(location.href, 'CONSENTFAIL', wall.name, '&ndash;');
+		typeof callback === 'function' && callback();
+		return;
+	}
+
+	var type = policy == 'reject' ? 'CONSENTREJECT' : 'CONSENTACCEPT';
+	if (wall.kind == 'interstitial')
+		type = 'INTERSTITIAL';
+
+	// Read the banner for a moment, click and give the page some time to remove the wall
+	setTimeout(() => {
+		button.click();
+		updateStatus(location.href, type, wall.name, '&ndash;');
+
+		setTimeout(() => {
+			typeof callback === 'function' && callback();
+		}, pauseDuration(random));
+	}, pauseDuration(random));
+}
+
+/**
+ * Returns the first button whose label matches a given pattern (and not the excluded pattern)
+ * or null, if there is none.
+ *
+ * @param {Array} buttons The buttons to check.
+ * @param {RegExp} pattern The pattern the label has to match.
+ * @param {RegExp} excluded The pattern the label must not match (can be null).
+ */
+function findButton(buttons, pattern, excluded) {
+	return buttons.find(button => {
+		var label = (button.value || button.textContent || '').trim();
+
+		// Long texts are rather paragraphs or links to the privacy policy than buttons
+		return label.length > 0 && label.length <= 40 && pattern.test(label) &&
+			(excluded == null || !excluded.test(label));
+	}) || null;
+}
+
+/**
+ * Checks if an element is visible on the page.
+ *
+ * @param {Object} elem The element to check.
+ */
+function isDisplayed(elem) {
+	var rect = elem.getBoundingClientRect();
+	var style = window.getComputedStyle(elem);
+
+	return rect.width > 0 && rect.height > 0 && style.visibility != 'hidden' && style.display != 'none';
+}
\ No newline at end of file
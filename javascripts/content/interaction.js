@@ -0,0 +1,244 @@
+/**
+ * @module content script - interaction
+ */
+'use strict';
+
+/**
+ * Holds the selector for content blocks over which a visitor might pause while scrolling.
+ */
+const contentBlocks = 'h1, h2, h3, p, li, img, video, figure, table, blockquote, pre';
+
+/**
+ * Defines the parameters of the dwell time distribution (log-normal, in seconds) which is used if
+ * the background script can not estimate it from the browser history. The median is 15 seconds.
+ */
+const defaultDwellModel = {
+	mu: Math.log(15),
+	sigma: 0.5
+};
+
+/**
+ * Defines the minimum and maximum dwell time on a page in milliseconds.
+ */
+const dwellBounds = [5000, 120000];
+
+/**
+ * Defines the interval between two animation steps in milliseconds (about 60 frames per second).
+ */
+const frameDuration = 16;
+
+registerStrategy({
+	name: 'dwell',
+	statusEvents: ['DWELL'],
+	isApplicable: context => document.body != null,
+	run: (context, report) => {
+		simulateVisit(context, disconnect, dwellTime => {
+			report('DWELL', `${Math.round(dwellTime / 1000)}s`, '&ndash;');
+		});
+	}
+});
+
+/**
+ * Creates a pseudo random number generator (Mulberry32). The same seed always produces the same
+ * sequence of numbers in [0, 1), such that a simulated visit can be reproduced.
+ *
+ * @param {number} seed The seed of the generator.
+ */
+function createRandom(seed) {
+	var state = seed >>> 0;
+
+	return () => {
+		state = (state + 0x6D2B79F5) >>> 0;
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Draws a sample from a log-normal distribution (using the Box-Muller transform).
+ *
+ * @param {function} random The random number generator to use.
+ * @param {number} mu The mean of the underlying normal distribution.
+ * @param {number} sigma The standard deviation of the underlying normal distribution.
+ */
+function sampleLogNormal(random, mu, sigma) {
+	var u = 1 - random(); // Avoid log(0)
+	var v = random();
+
+	return Math.exp(mu + sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v));
+}
+
+/**
+ * Simulates a human visit of the current page: scrolls through the content, pauses over content
+ * blocks and moves the pointer over the page until the dwell time is over.
+ *
+ * @param {Object} context Response from background script (contains seed and dwell model).
+ * @param {function} [callback] Optional callback function, executed after the visit is over.
+ * @param {function} [onStart] Optional function which gets the sampled dwell time as parameter.
+ */
+function simulateVisit(context, callback, onStart) {
+	var random = createRandom(context.seed != undefined ? context.seed : Date.now());
+	var model = context.dwellModel != undefined ? context.dwellModel : defaultDwellModel;
+
+	var dwellTime = 1000 * sampleLogNormal(random, model.mu, model.sigma);
+	dwellTime = Math.min(Math.max(dwellTime, dwellBounds[0]), dwellBounds[1]);
+
+	typeof onStart === 'function' && onStart(dwellTime);
+
+	var end = Date.now() + dwellTime;
+	var pointer = {
+		x: Math.floor(random() * window.innerWidth),
+		y: Math.floor(random() * window.innerHeight)
+	};
+
+	var nextInteraction = () => {
+		if (Date.now() >= end) {
+			typeof callback === 'function' && callback();
+			return;
+		}
+
+		// Mostly scroll down to the next block, sometimes move the pointer around
+		if (random() < 0.7) {
+			scrollToNextBlock(random, () => setTimeout(nextInteraction, pauseDuration(random)));
+		} else {
+			movePointer(random, pointer, () => setTimeout(nextInteraction, pauseDuration(random)));
+		}
+	};
+
+	setTimeout(nextInteraction, pauseDuration(random));
+}
+
+/**
+ * Returns a random pause between two interactions in milliseconds (median of one second).
+ *
+ * @param {function} random The random number generator to use.
+ */
+function pauseDuration(random) {
+	return Math.min(1000 * sampleLogNormal(random, 0, 0.8), 10000);
+}
+
+/**
+ * Scrolls to the next content block below the current viewport and pauses over it. The pause
+ * depends on the amount of text in the block (reading time).
+ *
+ * @param {function} random The random number generator to use.
+ * @param {function} [callback] Optional callback function, executed when done.
+ */
+function scrollToNextBlock(random, callback) {
+	var blocks = Array.from(document.querySelectorAll(contentBlocks)).filter(block => {
+		var rect = block.getBoundingClientRect();
+		return rect.height > 20 && rect.top > window.innerHeight / 3;
+	});
+
+	if (blocks.length == 0) { // End of page reached
+		typeof callback === 'function' && callback();
+		return;
+	}
+
+	// Usually the next block, sometimes skip a few blocks
+	var block = blocks[Math.min(Math.floor(random() * random() * 4), blocks.length - 1)];
+	var target = block.getBoundingClientRect().top + window.scrollY - window.innerHeight / 4;
+
+	smoothScroll(target, 300 + random() * 900, () => {
+		var readingTime = 1000 * (block.innerText || '').length / (15 + random() * 15); // 15-30 chars/s
+		setTimeout(callback, Math.min(readingTime, 8000));
+	});
+}
+
+/**
+ * Scrolls to a given position with realistic acceleration, i.e., the scroll speed increases at
+ * the beginning and decreases at the end (ease in and out).
+ *
+ * @param {number} target The vertical position to scroll to.
+ * @param {number} duration The duration of the scroll movement in milliseconds.
+ * @param {function} [callback] Optional callback function, executed when done.
+ */
+function smoothScroll(target, duration, callback) {
+	var start = window.scrollY;
+	var steps = Math.max(Math.round(duration / frameDuration), 1);
+	var step = 0;
+
+	var scrollStep = () => {
+		var t = ++step / steps;
+		var eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+		window.scrollTo(window.scrollX, start + (target - start) * eased);
+
+		if (step < steps)
+			setTimeout(scrollStep, frameDuration);
+		else
+			typeof callback === 'function' && callback();
+	};
+
+	scrollStep();
+}
+
+/**
+ * Moves the pointer along a curved path to a random visible element and hovers over it. Since
+ * we can not move the real cursor, we dispatch the corresponding mouse events.
+ *
+ * @param {function} random The random number generator to use.
+ * @param {Object} pointer The current pointer position (gets updated).
+ * @param {function} [callback] Optional callback function, executed when done.
+ */
+function movePointer(random, pointer, callback) {
+	var from = {
+		x: pointer.x,
+		y: pointer.y
+	};
+	var to = {
+		x: Math.floor(random() * window.innerWidth),
+		y: Math.floor(random() * window.innerHeight)
+	};
+	var control = { // Control point of a quadratic bezier curve, so the path is not straight
+		x: (from.x + to.x) / 2 + (random() - 0.5) * 200,
+		y: (from.y + to.y) / 2 + (random() - 0.5) * 200
+	};
+
+	var steps = 10 + Math.floor(random() * 30);
+	var step = 0;
+	var hovered = null;
+
+	var moveStep = () => {
+		var t = ++step / steps;
+		pointer.x = Math.round((1 - t) * (1 - t) * from.x + 2 * (1 - t) * t * control.x + t * t * to.x);
+		pointer.y = Math.round((1 - t) * (1 - t) * from.y + 2 * (1 - t) * t * control.y + t * t * to.y);
+
+		var elem = document.elementFromPoint(pointer.x, pointer.y);
+		if (elem != hovered) {
+			dispatchMouseEvent(hovered, 'mouseout', pointer);
+			dispatchMouseEvent(elem, 'mouseover', pointer);
+			hovered = elem;
+		}
+		dispatchMouseEvent(elem, 'mousemove', pointer);
+
+		if (step < steps)
+			setTimeout(moveStep, frameDuration + Math.floor(random() * frameDuration));
+		else
+			setTimeout(callback, Math.floor(sampleLogNormal(random, 6, 0.5))); // Hover ~400ms
+	};
+
+	moveStep();
+}
+
+/**
+ * Dispatches a mouse event at the given pointer position on an element.
+ *
+ * @param {Object} elem The element which receives the event (nothing happens if null).
+ * @param {string} type The type of the mouse event.
+ * @param {Object} pointer The current pointer position.
+ */
+function dispatchMouseEvent(elem, type, pointer) {
+	if (elem == null)
+		return;
+
+	elem.dispatchEvent(new MouseEvent(type, {
+		bubbles: true,
+		cancelable: true,
+		view: window,
+		clientX: pointer.x,
+		clientY: pointer.y
+	}));
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * @module content script - linkWalk
+ */
+'use strict';
+
+/**
+ * Holds the selector for containers whose links we do not want to follow (navigation, footer,
+ * sidebars and similar elements).
+ */
+const excludedContainers = 'nav, header, footer, aside, [role=navigation], [role=banner], ' +
+	'[role=contentinfo], [role=complementary], [aria-hidden=true]';
+
+/**
+ * Matches ids and class names of typical ad containers.
+ */
+const adPattern = /(^|[\s_-])(ad|ads|adv|advert|advertisement|banner|sponsor|sponsored|promo|promoted)([\s_-]|$)/i;
+
+/**
+ * Matches links to files which would start a download instead of opening a page.
+ */
+const filePattern = /\.(pdf|zip|rar|7z|exe|dmg|apk|mp3|mp4|avi|jpg|jpeg|png|gif)$/i;
+
+/**
+ * Defines the default number of links to follow (if the user did not change the setting).
+ */
+const defaultLinkWalkDepth = 1;
+
+registerStrategy({
+	name: 'linkWalk',
+	statusEvents: ['LINKHOP'],
+	isApplicable: context => getRankedLinks().length > 0,
+	run: (context, report) => {
+		var hop = context.strategyState != undefined ? context.strategyState.hop : 0;
+
+		chrome.storage.sync.get('linkWalkDepth', result => {
+			var depth = result.linkWalkDepth != undefined ? parseInt(result.linkWalkDepth) : defaultLinkWalkDepth;
+
+			// Stay on the page for a while before following the next link
+			simulateVisit(context, () => {
+				followLink(hop, depth, report);
+			});
+		});
+	}
+});
+
+/**
+ * Follows a same-site link on the current page. Links near the top of the page are preferred,
+ * because real users are more likely to click on them. When the maximum number of hops is
+ * reached, the tab gets closed.
+ *
+ * @param {number} hop The number of links followed so far in this tab.
+ * @param {number} depth The maximum number of links to follow.
+ * @param {function} report Function to report the status (see strategy.js).
+ */
+function followLink(hop, depth, report) {
+	var links = getRankedLinks();
+
+	if (hop >= depth || links.length == 0) {
+		disconnect();
+		return;
+	}
+
+	// Squaring the random number favors links with a low rank (i.e. near the top of the page)
+	var link = links[Math.floor(Math.pow(Math.random(), 2) * links.length)];
+
+	report('LINKHOP', `${hop + 1}/${depth}`, link.href);
+
+	chrome.runtime.sendMessage({
+		type: 'sendInfo',
+		infoType: 'continue',
+		strategyState: {
+			hop: hop + 1
+		}
+	}, response => {
+		chrome.runtime.sendMessage({
+			type: 'sendInfo',
+			infoType: 'incTodayCount',
+			url: new URL(location.href).hostname
+		}, response => {
+			location.href = link.href;
+		});
+	});
+}
+
+/**
+ * Returns all links on the current page which we can follow, sorted by their visible position
+ * (top to bottom, left to right). We only consider visible links to the same site and skip links
+ * inside of navigation, footer and ad containers.
+ */
+function getRankedLinks() {
+	var links = [];
+
+	for (const link of document.querySelectorAll('a[href]')) {
+		if (!isFollowableLink(link))
+			continue;
+
+		var rect = link.getBoundingClientRect();
+		if (rect.width == 0 || rect.height == 0)
+			continue;
+
+		links.push({
+			link: link,
+			top: rect.top + window.scrollY,
+			left: rect.left + window.scrollX
+		});
+	}
+
+	links.sort((a, b) => a.top != b.top ? a.top - b.top : a.left - b.left);
+
+	return links.map(e => e.link);
+}
+
+/**
+ * Checks if a given link leads to another page of the current site and is not part of a
+ * navigation, footer or ad container.
+ *
+ * @param {Object} link The anchor element to check.
+ */
+function isFollowableLink(link) {
+	if (!link.protocol.startsWith('http') || link.hasAttribute('download'))
+		return false;
+
+	if (!isSameSite(link.hostname, location.hostname) || filePattern.test(link.pathname))
+		return false;
+
+	// Anchors on the same page do not lead to a new visit
+	if (link.pathname == location.pathname && link.search == location.search)
+		return false;
+
+	if ($(link).closest(excludedContainers).length > 0)
+		return false;
+
+	for (var elem = link; elem != null && elem != document.body; elem = elem.parentElement) {
+		if (adPattern.test(elem.id) || adPattern.test(elem.getAttribute('class') || ''))
+			return false;
+	}
+
+	return true;
+}
+
+/**
+ * Checks if two hostnames belong to the same site, i.e., they are equal (ignoring the 'www.'
+ * prefix) or one is a subdomain of the other.
+ *
+ * @param {string} host The first hostname.
+ * @param {string} otherHost The second hostname.
+ */
+function isSameSite(host, otherHost) {
+	host = host.replace(/^www\./, '');
+	otherHost = otherHost.replace(/^www\./, '');
+
+	return host == otherHost || host.endsWith(`.${otherHost}`) || otherHost.endsWith(`.${host}`);
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * @module content script - recipe
+ */
+'use strict';
+
+/**
+ * Defines how long a waitFor step waits for an element by default (in milliseconds).
+ */
+const defaultRecipeTimeout = 5000;
+
+/**
+ * Defines the interval (in milliseconds) in which a waitFor step checks for the element.
+ */
+const recipePollInterval = 250;
+
+/**
+ * Executes the steps of a recipe (see recipe.js in the background scripts) to search the current
+ * site. After the last type step, onTyped gets called with a function to continue the recipe,
+ * such that the search can be reported before it gets submitted.
+ *
+ * @param {Object} recipe The recipe to execute.
+ * @param {string} term The term to search for.
+ * @param {function} random The random number generator to use (see interaction.js).
+ * @param {function} onTyped Function which gets called after the search term has been typed in.
+ * @param {function} [callback] Optional callback function, gets an error message if a step failed
+ * (or null, if all steps succeeded).
+ */
+function runRecipe(recipe, term, random, onTyped, callback) {
+	var lastTypeStep = recipe.steps.map(step => step.action).lastIndexOf('type');
+
+	var runStep = index => {
+		if (index >= recipe.steps.length) {
+			typeof callback === 'function' && callback(null);
+			return;
+		}
+
+		var step = recipe.steps[index];
+		var next = () => setTimeout(() => runStep(index + 1), pauseDuration(random));
+
+		executeRecipeStep(step, term, random, success => {
+			if (!success) {
+				var error = `Step ${index + 1} (${step.action}) failed: ` +
+					`no suitable element matches ${step.selector}.`;
+				typeof callback === 'function' && callback(error);
+				return;
+			}
+
+			if (index == lastTypeStep)
+				onTyped(next);
+			else
+				next();
+		});
+	};
+
+	runStep(0);
+}
+
+/**
+ * Executes a single step of a recipe. The callback gets false, if the element of the step does
+ * not exist or does not suit the action (e.g. text can only be typed into input fields).
+ *
+ * @param {Object} step The step to execute.
+ * @param {string} term The term to search for.
+ * @param {function} random The random number generator to use.
+ * @param {function} callback Mandatory callback function with the success as parameter.
+ */
+function executeRecipeStep(step, term, random, callback) {
+	if (step.action == 'waitFor') {
+		var timeout = step.timeout != undefined ? step.timeout : defaultRecipeTimeout;
+		waitForElement(step.selector, timeout, callback);
+		return;
+	}
+
+	var elem = document.querySelector(step.selector);
+	if (elem == null) {
+		callback(false);
+		return;
+	}
+
+	switch (step.action) {
+		case 'click':
+			elem.click();
+			break;
+		case 'type':
+			if (!(elem instanceof HTMLInputElement) && !(elem instanceof HTMLTextAreaElement)) {
+				callback(false);
+				return;
+			}
+			var text = step.text != undefined ? step.text.replace('{searchTerms}', term) : term;
+			typeText(elem, text, random, () => callback(true));
+			return; // Typing is asynchronous
+		case 'pressKey':
+			pressKey(elem, step.key);
+			break;
+		case 'followResult':
+			var results = Array.from(document.querySelectorAll(step.selector)).filter(link => {
+				return link.href != undefined && link.getBoundingClientRect().height > 0;
+			});
+			if (results.length == 0) {
+				callback(false);
+				return;
+			}
+			// Follow the given result or one of the first three results
+			var index = step.index != undefined ? step.index : Math.floor(random() * 3);
+			location.href = results[Math.min(index, results.length - 1)].href;
+			break;
+	}
+
+	callback(true);
+}
+
+/**
+ * Waits until an element matching a given selector exists on the page.
+ *
+ * @param {string} selector The selector of the element.
+ * @param {number} timeout The maximum time to wait in milliseconds.
+ * @param {function} callback Mandatory callback function, gets true if the element exists.
+ */
+function waitForElement(selector, timeout, callback) {
+	var end = Date.now() + timeout;
+
+	var check = () => {
+		if (document.querySelector(selector) != null)
+			callback(true);
+		else if (Date.now() >= end)
+			callback(false);
+		else
+			setTimeout(check, recipePollInterval);
+	};
+
+	check();
+}
\ No newline at end of file
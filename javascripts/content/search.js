@@ -3,6 +3,16 @@
  */
 'use strict';
 
+registerStrategy({
+	name: 'search',
+	statusEvents: ['SEARCH', 'SEARCHFAIL'],
+	isApplicable: context => context.recipe != undefined || getSearchInputField() != null,
+	run: (context, report) => {
+		// Wait 1-3 seconds before typing in a search term
+		searchPage(Math.floor(1000 * Math.random() + 2000), report, context);
+	}
+});
+
 /**
  * Gets the url parameters from the current url.
  */
@@ -17,8 +27,9 @@ function getUrlParams() {
 		dummySearchTerm: inputField != null ? dummySearchTerm : ''
 	}, response => {
 		if (inputField != null) {
-			$(inputField).val(dummySearchTerm);
-			$(inputField).closest('form').submit();
+			typeText(inputField, dummySearchTerm, createRandom(Date.now()), () => {
+				submitSearch(inputField);
+			});
 		} else {
 			location.reload();
 		}
@@ -26,66 +37,87 @@ function getUrlParams() {
 }
 
 /**
- * Searches for an input field on the current page such that we can search the page.
+ * Searches for a search field on the current page such that we can search the page. Returns the
+ * best ranked input field or null, if we are not confident enough that it is a search field
+ * (e.g. login forms or newsletter boxes).
  */
 function getSearchInputField() {
-	var searchFields = $(':input[type=search]');
-	var inputField = searchFields.length > 0 ? searchFields.first() : $(':input[type=text]').first();
-	var form = $(inputField).closest('form');
+	var candidate = detectSearchField();
 
-	// Make sure that we don't fill our a login form or something similar.
-	// We only want to use search fields. (Note that this approach may not always work perfectly)
-	var isSearchField = form.find(':input[type=search]').length == 1 ||
-						form.find(':input[type=text]').length == 1;
+	return candidate != null ? candidate.field : null;
+}
 
-	isSearchField = isSearchField && form.find(':input[type=email]').length == 0
-								  && form.find(':input[type=password]').length == 0;
+/**
+ * Returns the best ranked search field candidate (field, score and confidence) on the current
+ * page or null, if its confidence is below the threshold defined in data.json.
+ */
+function detectSearchField() {
+	var candidates = getSearchFieldCandidates();
 
-	if (inputField.length > 0 && isSearchField) {
-		return inputField;
-	}
+	if (candidates.length > 0 && candidates[0].confidence >= data.searchFieldMinConfidence)
+		return candidates[0];
 
 	return null;
 }
 
 /**
  * Tries to find input fields on the current webpage and simulates a user typing in things in
- * these input fields.
+ * these input fields. If there is a recipe for the current site, we execute the recipe instead.
  * 
  * @param {number} delay The delay before searching in milliseconds.
+ * @param {function} report Function to report the status of the search (see strategy.js).
+ * @param {Object} context Response from background script (see interaction.js).
  */
-function searchPage(delay) {
+function searchPage(delay, report, context) {
 	chrome.runtime.sendMessage({
 		type: 'getInfo',
 		infoType: 'searchTerm',
 		url: new URL(location.href).hostname
 	}, response => {
 		var inputField = getSearchInputField();
+		var random = createRandom(context.seed != undefined ? context.seed : Date.now());
 
-		// Make sure that 1. a search field exists and 2. a search term is available.
-		if (inputField != null && response.searchTerm != '') {
-			setTimeout(() => {
-				$(inputField).val(response.searchTerm);
-				
-				var url = location.href.indexOf('?') > 0 ? location.href + '&' : location.href + '?';
-				updateStatus(
-					location.href,
-					'SEARCH',
-					response.searchTerm,
-					`${url}${response.searchParam}=${encodeURIComponent(response.searchTerm)}`
-				);
-
-				chrome.runtime.sendMessage({
-					type: 'sendInfo',
-					infoType: 'incTodayCount',
-					url: new URL(location.href).hostname
-				}, response => {
-					$(inputField).closest('form').submit();
+		// Make sure that 1. a search field (or recipe) exists and 2. a search term is available.
+		if (context.recipe != undefined && response.searchTerm != '') {
+			setTimeout(() => runRecipe(context.recipe, response.searchTerm, random, next => {
+				countSearch(response, report, next);
+			}, error => {
+				if (error != null)
+					report('SEARCHFAIL', response.searchTerm, '&ndash;');
+				simulateVisit(context, disconnect); // In case the search did not navigate
+			}), delay);
+		} else if (inputField != null && response.searchTerm != '') {
+			setTimeout(() => typeText(inputField, response.searchTerm, random, () => {
+				countSearch(response, report, () => {
+					submitSearch(inputField, changed => {
+						if (!changed)
+							report('SEARCHFAIL', response.searchTerm, '&ndash;');
+						simulateVisit(context, disconnect); // The page stays, so the tab has to end itself
+					});
 				});
-			}, delay);
+			}), delay);
 		} else {
-			updateStatus(location.href, 'SEARCHFAIL', response.searchTerm, '&ndash;');
-			setTimeout(disconnect, Math.floor(10000 * Math.random() + 10000)); // 10-20 seconds
+			report('SEARCHFAIL', response.searchTerm, '&ndash;');
+			simulateVisit(context, disconnect);
 		}
 	});
+}
+
+/**
+ * Reports a search to the working page and counts it as a connection.
+ * 
+ * @param {Object} response Response from background script which contains the search term.
+ * @param {function} report Function to report the status of the search.
+ * @param {function} [callback] Optional callback function, executed before submitting the search.
+ */
+function countSearch(response, report, callback) {
+	report('SEARCH', response.searchTerm, response.searchUrl != '' ? response.searchUrl : '&ndash;');
+
+	chrome.runtime.sendMessage({
+		type: 'sendInfo',
+		infoType: 'incTodayCount',
+		url: new URL(location.href).hostname
+	}, response => {
+		typeof callback === 'function' && callback();
+	});
 }
\ No newline at end of file
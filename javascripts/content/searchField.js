@@ -0,0 +1,165 @@
+/**
+ * @module content script - searchField
+ */
+'use strict';
+
+/**
+ * Matches names and ids of input fields which are typically used for search queries.
+ */
+const searchNamePattern = /^(q|qs|query|search|search_query|searchterm|s|k|p|kw|keywords?|term|text|wd)$/i;
+
+/**
+ * Matches words indicating a search in attributes, placeholders and labels (several languages).
+ */
+const searchWordPattern = /search|query|find|suche|suchen|recherche|rechercher|buscar|busca|cerca|zoeken|szukaj|поиск|検索|搜索/i;
+
+/**
+ * Matches words indicating that an input field is not a search field (login, newsletter, ...).
+ */
+const nonSearchWordPattern = /newsletter|subscribe|signup|sign-up|register|login|log-in|signin|sign-in|e-?mail|password|username|coupon|voucher|zip|postcode|phone/i;
+
+/**
+ * Holds the weights of the features which are used to score input fields.
+ */
+const searchFieldWeights = {
+	typeSearch: 3,
+	roleSearchbox: 2,
+	exactName: 2.5,
+	partialName: 1.5,
+	label: 2,
+	landmark: 3,
+	formAction: 1.5,
+	submitButton: 1,
+	topOfPage: 0.5,
+	nonSearchWords: -4,
+	credentials: -5,
+	autocomplete: -3,
+	manyInputs: -2
+};
+
+/**
+ * Defines the score at which the confidence of being a search field is 50 percent.
+ */
+const searchFieldScoreOffset = 2;
+
+/**
+ * Returns all visible text input fields on the current page (including fields inside of open
+ * shadow roots), ranked by their likelihood of being a search field. Every candidate contains
+ * the field, its score and a confidence between 0 and 1.
+ */
+function getSearchFieldCandidates() {
+	var candidates = collectInputFields(document).filter(isVisibleField).map(field => {
+		var score = scoreSearchField(field);
+
+		return {
+			field: field,
+			score: score,
+			confidence: 1 / (1 + Math.exp(searchFieldScoreOffset - score))
+		};
+	});
+
+	return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Collects all text input fields of a given root node and of all open shadow roots below it.
+ *
+ * @param {Object} root The document or shadow root to search in.
+ */
+function collectInputFields(root) {
+	var fields = Array.from(root.querySelectorAll('input')).filter(field => {
+		return ['search', 'text', ''].includes((field.getAttribute('type') || '').toLowerCase());
+	});
+
+	for (const elem of root.querySelectorAll('*')) {
+		if (elem.shadowRoot != null) // Closed shadow roots are null, so we can not access them
+			fields = fields.concat(collectInputFields(elem.shadowRoot));
+	}
+
+	return fields;
+}
+
+/**
+ * Checks if an input field is visible and editable.
+ *
+ * @param {Object} field The input field to check.
+ */
+function isVisibleField(field) {
+	return !field.disabled && !field.readOnly && isDisplayed(field);
+}
+
+/**
+ * Computes a score for an input field. The higher the score, the more likely it is a search field.
+ *
+ * @param {Object} field The input field to score.
+ */
+function scoreSearchField(field) {
+	var w = searchFieldWeights;
+	var score = 0;
+
+	var name = `${field.name || ''} ${field.id || ''}`.trim();
+	var label = [
+		field.getAttribute('aria-label'),
+		field.getAttribute('placeholder'),
+		field.getAttribute('title'),
+		field.labels != null && field.labels.length > 0 ? field.labels[0].textContent : ''
+	].join(' ');
+
+	if ((field.getAttribute('type') || '').toLowerCase() == 'search')
+		score += w.typeSearch;
+
+	if (['searchbox', 'combobox'].includes(field.getAttribute('role')))
+		score += w.roleSearchbox;
+
+	if (name.split(' ').some(n => searchNamePattern.test(n)))
+		score += w.exactName;
+	else if (searchWordPattern.test(name))
+		score += w.partialName;
+
+	if (searchWordPattern.test(label))
+		score += w.label;
+
+	if (field.closest('[role=search], search') != null)
+		score += w.landmark;
+
+	var form = field.form;
+	if (form != null && searchWordPattern.test(describeElement(form)))
+		score += w.formAction;
+
+	var button = getSubmitButton(field);
+	if (button != null && searchWordPattern.test(`${describeElement(button)} ${button.textContent}`))
+		score += w.submitButton;
+
+	// Search fields are usually placed at the top of a page
+	if (field.getBoundingClientRect().top + window.scrollY < 300)
+		score += w.topOfPage;
+
+	if (nonSearchWordPattern.test(`${name} ${label} ${field.className}`) ||
+		(form != null && nonSearchWordPattern.test(describeElement(form)))) {
+		score += w.nonSearchWords;
+	}
+
+	if (form != null && form.querySelector('input[type=password], input[type=email]') != null)
+		score += w.credentials;
+
+	if (/email|username|name|tel|address|postal/i.test(field.getAttribute('autocomplete') || ''))
+		score += w.autocomplete;
+
+	// Search forms rarely have more than two text fields (unlike contact forms and similar)
+	if (form != null && collectInputFields(form).filter(isVisibleField).length > 2)
+		score += w.manyInputs;
+
+	return score;
+}
+
+/**
+ * Returns the attributes of an element which describe its purpose (id, class, action and labels)
+ * as a single string.
+ *
+ * @param {Object} elem The element to describe.
+ */
+function describeElement(elem) {
+	var attributes = ['id', 'class', 'action', 'aria-label', 'title'];
+
+	return attributes.map(attr => elem.getAttribute(attr) || '').join(' ');
+}
\ No newline at end of file
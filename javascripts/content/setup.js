@@ -26,7 +26,13 @@ $(document).ready(() => {
 			infoType: 'type',
 			url: location.href
 		}, response => {
-			determineAction(response);
+			if (response.type == undefined)
+				return; // Only take action in tabs created by this extension.
+
+			// Consent walls hide the page (and its search field), so handle them first
+			handleConsent(response, () => {
+				determineAction(response);
+			});
 		});
 	});
 });
@@ -41,7 +47,7 @@ function determineAction(response) {
 		if (response.type == 'getUrlParam') { // Searched for URL params, no real visit
 			setTimeout(disconnect, Math.floor(1000 * Math.random() + 300)); // Exit fast (~ 1sec)
 		} else {
-			setTimeout(disconnect, Math.floor(10000 * Math.random() + 10000)); // 10-20 seconds
+			simulateVisit(response, disconnect);
 		}
 		return;
 	}
@@ -49,7 +55,7 @@ function determineAction(response) {
 	switch (response.type) {
 		case 'execAlgo':
 			updateStatus(location.href, 'OPEN', '&ndash;', '&ndash;');
-			execAlgorithm();
+			execAlgorithm(response);
 			break;
 		case 'getUrlParam':
 			updateStatus(location.href, 'GETPARAM', '&ndash;', '&ndash;');
@@ -61,9 +67,19 @@ function determineAction(response) {
 }
 
 /**
- * Executes the camouflage algorithm.
+ * Executes the camouflage strategy which was chosen by the background script for this tab. If its
+ * preconditions are not met on the current page, another applicable strategy is executed instead.
+ * 
+ * @param {Object} response Response from background script which contains the chosen strategy.
  */
-function execAlgorithm() {
-	// If there will be more than one algorithms one day, we can determine the correct one in here
-	searchPage(Math.floor(1000 * Math.random() + 2000)); // 1-3 seconds to type in a search term
+function execAlgorithm(response) {
+	var strategy = selectStrategy(response.strategy, response.strategyWeights, response);
+
+	if (strategy == undefined) {
+		updateStatus(location.href, 'NOSTRATEGY', '&ndash;', '&ndash;');
+		simulateVisit(response, disconnect);
+		return;
+	}
+
+	strategy.run(response, createStatusReporter(strategy));
 }
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * @module content script - strategy
+ */
+'use strict';
+
+/**
+ * Holds all camouflage strategies known to this content script, keyed by their name.
+ */
+var strategies = {};
+
+/**
+ * Registers a camouflage strategy. The background script selects one of the registered strategies
+ * for every tab it opens (the name has to match an entry of availableStrategies in data.json).
+ *
+ * @param {Object} strategy The strategy to register. It consists of the following properties:
+ * @param {string} strategy.name The unique name of the strategy.
+ * @param {string[]} strategy.statusEvents The action types this strategy reports to the working page.
+ * @param {function} strategy.isApplicable Checks the preconditions on the current page. Gets the
+ * response of the background script as parameter and returns true if the strategy can run.
+ * @param {function} strategy.run Performs the strategy. Gets two params: (context, report) where
+ * context is the response of the background script and report is the function to update the status.
+ */
+function registerStrategy(strategy) {
+	strategies[strategy.name] = strategy;
+}
+
+/**
+ * Returns the strategy which should be executed on the current page. This is the strategy chosen
+ * by the background script if its preconditions are met. Otherwise, we choose another applicable
+ * strategy, using the weights configured by the user.
+ *
+ * @param {string} name The name of the strategy chosen by the background script.
+ * @param {Object} weights The weights for all strategies (name as key, weight as value).
+ * @param {Object} context The response of the background script.
+ */
+function selectStrategy(name, weights, context) {
+	if (strategies[name] != undefined && strategies[name].isApplicable(context)) {
+		return strategies[name];
+	}
+
+	var candidates = Object.values(strategies).filter(s => {
+		return s.name != name && weights[s.name] > 0 && s.isApplicable(context);
+	});
+
+	var sum = candidates.reduce((n, s) => n + weights[s.name], 0);
+	var random = Math.random() * sum;
+	for (const candidate of candidates) {
+		random -= weights[candidate.name];
+		if (random < 0)
+			return candidate;
+	}
+
+	return undefined;
+}
+
+/**
+ * Creates the report function for a given strategy. A strategy may only report the action types
+ * it declared in its statusEvents array.
+ *
+ * @param {Object} strategy The strategy which wants to report its status.
+ */
+function createStatusReporter(strategy) {
+	return (type, searchTerm, toUrl) => {
+		if (!strategy.statusEvents.includes(type))
+			return; // Undeclared status, ignore it
+
+		updateStatus(location.href, type, searchTerm, toUrl);
+	};
+}
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * @module content script - typing
+ */
+'use strict';
+
+/**
+ * Holds the neighbouring keys of every letter on a QWERTY keyboard. We use it to simulate typos.
+ */
+const neighbourKeys = {
+	a: 'qwsz', b: 'vghn', c: 'xdfv', d: 'serfcx', e: 'wsdr', f: 'drtgvc', g: 'ftyhbv', h: 'gyujnb',
+	i: 'ujko', j: 'huikmn', k: 'jiolm', l: 'kop', m: 'njk', n: 'bhjm', o: 'iklp', p: 'ol',
+	q: 'wa', r: 'edft', s: 'awedxz', t: 'rfgy', u: 'yhji', v: 'cfgb', w: 'qase', x: 'zsdc',
+	y: 'tghu', z: 'asx'
+};
+
+/**
+ * Holds the key codes of the special keys we can press.
+ */
+const keyCodes = {
+	Enter: 13,
+	Escape: 27,
+	Tab: 9,
+	ArrowDown: 40,
+	ArrowUp: 38
+};
+
+/**
+ * Defines the probability of a typo for every typed letter.
+ */
+const typoProbability = 0.04;
+
+/**
+ * Matches characters which are usually entered via an input method editor (composition events).
+ */
+const compositionPattern = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+
+/**
+ * Defines how long we wait for a navigation (in milliseconds) before trying the next way of
+ * submitting a search.
+ */
+const submitTimeout = 3000;
+
+/**
+ * Simulates a user typing a given text into an input field. Every character is sent with the
+ * complete sequence of keyboard and input events, such that scripts which listen on these
+ * events (e.g. autocompleters or inputs controlled by frameworks) notice the input.
+ *
+ * @param {Object} field The input field to type into.
+ * @param {string} text The text to type.
+ * @param {function} random The random number generator to use (see interaction.js).
+ * @param {function} [callback] Optional callback function, executed after typing is done.
+ */
+function typeText(field, text, random, callback) {
+	field = $(field).get(0);
+
+	field.dispatchEvent(new FocusEvent('focus'));
+	field.dispatchEvent(new FocusEvent('focusin', {
+		bubbles: true
+	}));
+	field.focus();
+	setFieldValue(field, '');
+
+	var chars = Array.from(text); // Splits by code points, not by UTF-16 units
+	var index = 0;
+
+	var typeNext = () => {
+		if (index >= chars.length) {
+			field.dispatchEvent(new Event('change', {
+				bubbles: true
+			}));
+			typeof callback === 'function' && callback();
+			return;
+		}
+
+		var char = chars[index++];
+		var neighbours = neighbourKeys[char.toLowerCase()];
+
+		if (neighbours != undefined && random() < typoProbability) {
+			// Hit a neighbouring key, notice the mistake after a short moment and correct it
+			var typo = neighbours.charAt(Math.floor(random() * neighbours.length));
+			typeCharacter(field, typo);
+			setTimeout(() => {
+				pressBackspace(field);
+				setTimeout(() => {
+					typeCharacter(field, char);
+					setTimeout(typeNext, keystrokeDelay(random));
+				}, keystrokeDelay(random));
+			}, 2 * keystrokeDelay(random));
+		} else {
+			if (compositionPattern.test(char))
+				composeCharacter(field, char);
+			else
+				typeCharacter(field, char);
+			setTimeout(typeNext, keystrokeDelay(random));
+		}
+	};
+
+	setTimeout(typeNext, keystrokeDelay(random));
+}
+
+/**
+ * Returns a random delay between two keystrokes in milliseconds (median of 150 milliseconds).
+ *
+ * @param {function} random The random number generator to use.
+ */
+function keystrokeDelay(random) {
+	return Math.min(sampleLogNormal(random, Math.log(150), 0.4), 1500);
+}
+
+/**
+ * Types a single character into an input field (keydown, keypress, beforeinput, input, keyup).
+ *
+ * @param {Object} field The input field.
+ * @param {string} char The character to type.
+ */
+function typeCharacter(field, char) {
+	var keyInit = getKeyInit(char);
+
+	var proceed = field.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+	proceed = proceed && field.dispatchEvent(new KeyboardEvent('keypress', keyInit));
+	proceed = proceed && field.dispatchEvent(new InputEvent('beforeinput', {
+		bubbles: true,
+		cancelable: true,
+		inputType: 'insertText',
+		data: char
+	}));
+
+	if (proceed) { // A listener may have cancelled the input
+		setFieldValue(field, field.value + char);
+		field.dispatchEvent(new InputEvent('input', {
+			bubbles: true,
+			inputType: 'insertText',
+			data: char
+		}));
+	}
+
+	field.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+}
+
+/**
+ * Enters a single character like an input method editor does (composition events).
+ *
+ * @param {Object} field The input field.
+ * @param {string} char The character to enter.
+ */
+function composeCharacter(field, char) {
+	var value = field.value;
+
+	field.dispatchEvent(new CompositionEvent('compositionstart', {
+		bubbles: true,
+		data: ''
+	}));
+	field.dispatchEvent(new CompositionEvent('compositionupdate', {
+		bubbles: true,
+		data: char
+	}));
+	field.dispatchEvent(new InputEvent('beforeinput', {
+		bubbles: true,
+		inputType: 'insertCompositionText',
+		data: char,
+		isComposing: true
+	}));
+	setFieldValue(field, value + char);
+	field.dispatchEvent(new InputEvent('input', {
+		bubbles: true,
+		inputType: 'insertCompositionText',
+		data: char,
+		isComposing: true
+	}));
+	field.dispatchEvent(new CompositionEvent('compositionend', {
+		bubbles: true,
+		data: char
+	}));
+}
+
+/**
+ * Removes the last character from an input field like the backspace key does.
+ *
+ * @param {Object} field The input field.
+ */
+function pressBackspace(field) {
+	var keyInit = {
+		key: 'Backspace',
+		code: 'Backspace',
+		keyCode: 8,
+		which: 8,
+		bubbles: true,
+		cancelable: true
+	};
+
+	field.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+	field.dispatchEvent(new InputEvent('beforeinput', {
+		bubbles: true,
+		cancelable: true,
+		inputType: 'deleteContentBackward'
+	}));
+	setFieldValue(field, Array.from(field.value).slice(0, -1).join(''));
+	field.dispatchEvent(new InputEvent('input', {
+		bubbles: true,
+		inputType: 'deleteContentBackward'
+	}));
+	field.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+}
+
+/**
+ * Presses a special key (e.g. 'Enter' or 'Escape') inside of an element.
+ *
+ * @param {Object} elem The element which has the focus.
+ * @param {string} key The name of the key (see keyCodes).
+ */
+function pressKey(elem, key) {
+	var keyInit = {
+		key: key,
+		code: key,
+		keyCode: keyCodes[key],
+		which: keyCodes[key],
+		bubbles: true,
+		cancelable: true
+	};
+
+	elem.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+	elem.dispatchEvent(new KeyboardEvent('keypress', keyInit));
+	elem.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+}
+
+/**
+ * Returns the properties of the keyboard events for a given character.
+ *
+ * @param {string} char The character.
+ */
+function getKeyInit(char) {
+	var code = '';
+	if (/^[a-z]$/i.test(char))
+		code = `Key${char.toUpperCase()}`;
+	else if (/^[0-9]$/.test(char))
+		code = `Digit${char}`;
+	else if (char == ' ')
+		code = 'Space';
+
+	return {
+		key: char,
+		code: code,
+		keyCode: char.toUpperCase().charCodeAt(0),
+		which: char.toUpperCase().charCodeAt(0),
+		charCode: char.charCodeAt(0),
+		shiftKey: char != char.toLowerCase(),
+		bubbles: true,
+		cancelable: true
+	};
+}
+
+/**
+ * Sets the value of an input field. We use the native setter, because frameworks like React
+ * overwrite the value property of controlled inputs and would not notice the change otherwise.
+ *
+ * @param {Object} field The input field.
+ * @param {string} value The new value.
+ */
+function setFieldValue(field, value) {
+	var prototype = field instanceof HTMLTextAreaElement ?
+		HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+
+	Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+}
+
+/**
+ * Submits the search in an input field. If submitting the form does not navigate to another
+ * page (e.g. because the site handles the search via JavaScript), we press the enter key and
+ * finally click on the submit button. If the page does not get unloaded, i.e., the url changed
+ * within the page (e.g. via pushState) or every attempt failed, the callback gets called.
+ *
+ * @param {Object} field The input field which contains the search term.
+ * @param {function} [callback] Optional callback function, gets true if the url changed within
+ * the page and false if the search could not be submitted.
+ */
+function submitSearch(field, callback) {
+	field = $(field).get(0);
+
+	var startUrl = location.href;
+	var navigated = false;
+	window.addEventListener('beforeunload', () => {
+		navigated = true;
+	});
+
+	var attempts = [
+		() => $(field).closest('form').submit(),
+		() => pressKey(field, 'Enter'),
+		() => {
+			var button = getSubmitButton(field);
+			if (button != null)
+				button.click();
+		}
+	];
+
+	var attempt = index => {
+		if (navigated) // The next page takes over
+			return;
+
+		if (location.href != startUrl || index >= attempts.length) {
+			typeof callback === 'function' && callback(location.href != startUrl);
+			return;
+		}
+
+		attempts[index]();
+		setTimeout(() => attempt(index + 1), submitTimeout);
+	};
+
+	attempt(0);
+}
+
+/**
+ * Returns the submit button which belongs to an input field or null, if there is none.
+ *
+ * @param {Object} field The input field.
+ */
+function getSubmitButton(field) {
+	var container = field.form != null ? field.form : field.parentElement;
+
+	// Look for a button in the surrounding elements (up to three levels above the input field)
+	for (var i = 0; i < 3 && container != null; i++) {
+		var button = container.querySelector('[type=submit], button, [role=button]');
+		if (button != null)
+			return button;
+
+		container = container.parentElement;
+	}
+
+	return null;
+}
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * @module html script - charts
+ */
+'use strict';
+
+/**
+ * Defines the space (in pixels) around the plot area of a chart for the axis labels and the
+ * legend.
+ */
+const chartPadding = {
+	top: 30,
+	right: 15,
+	bottom: 60,
+	left: 45
+};
+
+/**
+ * Defines the font of all texts in the charts.
+ */
+const chartFont = '12px sans-serif';
+
+/**
+ * Draws a bar chart into a canvas. Every series gets its own bar for every label.
+ *
+ * @param {string} canvasId The id of the canvas.
+ * @param {string[]} labels The labels of the x axis.
+ * @param {Object[]} series The series to draw: { name, color, values }.
+ */
+function drawBarChart(canvasId, labels, series) {
+	var chart = prepareChart(canvasId, labels, series);
+	if (chart == undefined)
+		return;
+
+	var groupWidth = chart.width / labels.length;
+	var barWidth = groupWidth * 0.8 / series.length;
+
+	series.forEach((serie, serieIndex) => {
+		chart.context.fillStyle = serie.color;
+		serie.values.forEach((value, index) => {
+			var x = chart.left + index * groupWidth + groupWidth * 0.1 + serieIndex * barWidth;
+			var height = value / chart.max * chart.height;
+			chart.context.fillRect(x, chart.bottom - height, barWidth, height);
+		});
+	});
+}
+
+/**
+ * Draws a line chart into a canvas. Every series is a line through its values.
+ *
+ * @param {string} canvasId The id of the canvas.
+ * @param {string[]} labels The labels of the x axis.
+ * @param {Object[]} series The series to draw: { name, color, values }.
+ */
+function drawLineChart(canvasId, labels, series) {
+	var chart = prepareChart(canvasId, labels, series);
+	if (chart == undefined)
+		return;
+
+	var groupWidth = chart.width / labels.length;
+
+	for (const serie of series) {
+		chart.context.strokeStyle = serie.color;
+		chart.context.fillStyle = serie.color;
+		chart.context.lineWidth = 2;
+		chart.context.beginPath();
+		serie.values.forEach((value, index) => {
+			var x = chart.left + index * groupWidth + groupWidth / 2;
+			var y = chart.bottom - value / chart.max * chart.height;
+			index == 0 ? chart.context.moveTo(x, y) : chart.context.lineTo(x, y);
+			chart.context.fillRect(x - 2, y - 2, 4, 4);
+		});
+		chart.context.stroke();
+	}
+}
+
+/**
+ * Clears a canvas and draws the axes, the labels and the legend of a chart. Returns the
+ * dimensions of the plot area together with the drawing context, or undefined if there is
+ * nothing to draw (a note gets drawn instead).
+ *
+ * @param {string} canvasId The id of the canvas.
+ * @param {string[]} labels The labels of the x axis.
+ * @param {Object[]} series The series to draw: { name, color, values }.
+ */
+function prepareChart(canvasId, labels, series) {
+	var canvas = document.getElementById(canvasId);
+	var context = canvas.getContext('2d');
+
+	context.clearRect(0, 0, canvas.width, canvas.height);
+	context.font = chartFont;
+	context.fillStyle = '#6c757d';
+
+	if (labels.length == 0) {
+		context.textAlign = 'center';
+		context.fillText('No data yet', canvas.width / 2, canvas.height / 2);
+		return undefined;
+	}
+
+	var chart = {
+		context: context,
+		left: chartPadding.left,
+		bottom: canvas.height - chartPadding.bottom,
+		width: canvas.width - chartPadding.left - chartPadding.right,
+		height: canvas.height - chartPadding.top - chartPadding.bottom,
+		max: Math.max(...series.map(serie => Math.max(...serie.values)), 0)
+	};
+	chart.max = chart.max > 0 ? niceMaximum(chart.max) : 1;
+
+	// Axes with the maximum and the labels (rotated, so long labels fit)
+	context.strokeStyle = '#6c757d';
+	context.lineWidth = 1;
+	context.beginPath();
+	context.moveTo(chart.left, chartPadding.top);
+	context.lineTo(chart.left, chart.bottom);
+	context.lineTo(chart.left + chart.width, chart.bottom);
+	context.stroke();
+
+	context.textAlign = 'right';
+	context.fillText(formatChartValue(chart.max), chart.left - 5, chartPadding.top + 5);
+	context.fillText('0', chart.left - 5, chart.bottom);
+
+	var groupWidth = chart.width / labels.length;
+	labels.forEach((label, index) => {
+		context.save();
+		context.translate(chart.left + index * groupWidth + groupWidth / 2, chart.bottom + 10);
+		context.rotate(-Math.PI / 6);
+		context.fillText(label.length > 20 ? `${label.substring(0, 19)}…` : label, 0, 0);
+		context.restore();
+	});
+
+	// Legend above the plot area
+	var x = chart.left;
+	context.textAlign = 'left';
+	for (const serie of series) {
+		context.fillStyle = serie.color;
+		context.fillRect(x, 8, 12, 12);
+		context.fillStyle = '#6c757d';
+		context.fillText(serie.name, x + 16, 18);
+		x += context.measureText(serie.name).width + 36;
+	}
+
+	return chart;
+}
+
+/**
+ * Rounds the maximum of a chart up to a number which is easy to read (1, 2 or 5 times a power of
+ * ten).
+ *
+ * @param {number} max The maximum value of the chart.
+ */
+function niceMaximum(max) {
+	var power = Math.pow(10, Math.floor(Math.log10(max)));
+
+	for (const step of [1, 2, 5, 10]) {
+		if (step * power >= max)
+			return step * power;
+	}
+
+	return 10 * power;
+}
+
+/**
+ * Formats a value for an axis label (at most two decimal places).
+ *
+ * @param {number} value The value to format.
+ */
+function formatChartValue(value) {
+	return Number.isInteger(value) ? `${value}` : value.toFixed(2);
+}
\ No newline at end of file
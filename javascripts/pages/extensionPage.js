@@ -13,6 +13,45 @@ const dataPath = '../data/data.json';
  */
 var data;
 
+/**
+ * Defines how the states of the engine are shown and which buttons are enabled in each state.
+ */
+const engineStateViews = {
+	IDLE: {
+		label: 'Stopped',
+		actions: ['start']
+	},
+	LOADING_HISTORY: {
+		label: 'Loading browser history&hellip;',
+		actions: ['stop']
+	},
+	LOADING_TERMS: {
+		label: 'Loading search terms&hellip;',
+		actions: ['stop']
+	},
+	RUNNING: {
+		label: 'Running',
+		actions: ['pause', 'stop']
+	},
+	PAUSED: {
+		label: 'Paused',
+		actions: ['resume', 'stop']
+	},
+	LIMIT_REACHED: {
+		label: 'Connection limit reached for today',
+		actions: ['resume', 'stop']
+	}
+};
+
+/**
+ * Defines the placeholders of the value field for each type of policy rule.
+ */
+const policyRulePlaceholders = {
+	glob: '*.example.com',
+	regex: '^https://example\\.com/account',
+	ip: '192.168.0.0/16'
+};
+
 /*
  * Executes the script when the page has loaded. This script allows the user to customize the
  * extension.
@@ -28,6 +67,20 @@ $(document).ready(() => {
 		}
 
 		loadSettings();
+		loadStrategyWeights();
+		loadConsentPolicy();
+		loadFlatteningTarget();
+		loadSuggestionProviders();
+		loadSuggestionCacheStats();
+
+		loadEngineState();
+
+		addEngineEvents();
+		addRecipeImportEvents();
+		addSensitiveTopicEvents();
+		addPersonaEvents();
+		addPolicyEvents();
+		addSiteEvents();
 	});
 });
 
@@ -41,7 +94,31 @@ function addClickEventToTab(tabId) {
 	$(`#${tabId}`).click(() => {
 		switch (tabId) {
 			case 'pills-settings-tab':
+				loadEngineState();
 				loadSettings();
+				loadStrategyWeights();
+				loadConsentPolicy();
+				loadFlatteningTarget();
+				loadSuggestionProviders();
+				loadSuggestionCacheStats();
+				break;
+			case 'pills-recipes-tab':
+				loadRecipes();
+				break;
+			case 'pills-sensitive-tab':
+				loadSensitiveTopics();
+				break;
+			case 'pills-personas-tab':
+				loadPersonas();
+				break;
+			case 'pills-statistics-tab':
+				loadStatistics();
+				break;
+			case 'pills-policy-tab':
+				loadPolicy();
+				break;
+			case 'pills-site-tab':
+				loadSiteDetails($('#siteHostInput').val().trim());
 				break;
 			default:
 				return; // Unknown id
@@ -53,13 +130,13 @@ function addClickEventToTab(tabId) {
  * Creates an info alert inside a given div. The alert disappears after some time.
  * 
  * @param {string} divId The id of the div to which we append the alert.
- * @param {string} text The text which should be displayed inside of the alert.
+ * @param {string} text The text which should be displayed inside of the alert (gets escaped).
  */
 function createInfoAlert(divId, text) {
 	$(`#${divId}`).html(
-		`<br>
+		html`<br>
 		<div class="alert alert-info" role="alert">
-			${text}			
+			${text}
 		</div>`
 	);
 
@@ -68,14 +145,77 @@ function createInfoAlert(divId, text) {
 	}, 5000);
 }
 
+/**
+ * Adds the events of the engine buttons and updates the shown state whenever the state of the
+ * engine changes.
+ */
+function addEngineEvents() {
+	for (const action of ['start', 'pause', 'resume', 'stop']) {
+		getEngineButton(action).click(() => {
+			chrome.runtime.sendMessage({
+				type: 'sendInfo',
+				infoType: 'engineControl',
+				action: action
+			}, response => {
+				showEngineState(response.state);
+			});
+		});
+	}
+
+	chrome.runtime.onMessage.addListener(request => {
+		if (request.type == 'engineState')
+			showEngineState(request.state);
+	});
+}
+
+/**
+ * Loads the current state of the engine.
+ */
+function loadEngineState() {
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'engineState'
+	}, response => {
+		showEngineState(response.state);
+	});
+}
+
+/**
+ * Shows a state of the engine and enables the buttons which are applicable in this state.
+ *
+ * @param {string} state The state of the engine.
+ */
+function showEngineState(state) {
+	var view = engineStateViews[state];
+	if (view == undefined)
+		return; // Unknown state
+
+	$('#engineStateVal').html(html`State: <strong>${trustHtml(view.label)}</strong>`);
+
+	for (const action of ['start', 'pause', 'resume', 'stop']) {
+		getEngineButton(action).prop('disabled', !view.actions.includes(action));
+	}
+}
+
+/**
+ * Returns the button of an engine action (e.g. #enginePauseButton for 'pause').
+ *
+ * @param {string} action The action of the button.
+ */
+function getEngineButton(action) {
+	return $(`#engine${action.charAt(0).toUpperCase()}${action.substring(1)}Button`);
+}
+
 /**
  * Loads the content of the settings tab.
  */
 function loadSettings() {
 	chrome.storage.sync.get(data.availableSettings, result => {
 		for (const setting of data.availableSettings) {
-			$(`#${setting}Slider`).val(result[setting] != undefined ? result[setting] : 1);
-			$(`#${setting}Slider`).attr('value', result[setting] != undefined ? result[setting] : 1);
+			// Sliders without a stored value show their default value (or 1)
+			var value = result[setting] != undefined ? result[setting] : $(`#${setting}Slider`).attr('value') || 1;
+			$(`#${setting}Slider`).val(value);
+			$(`#${setting}Slider`).attr('value', value);
 			$(`#${setting}SliderVal`).text($(`#${setting}Slider`).val());
 
 			$(`#${setting}Slider`).change(() => {
@@ -93,4 +233,663 @@ function loadSettings() {
 			});
 		}
 	});
+}
+
+/**
+ * Loads the weights of the camouflage strategies into the settings tab. There is one slider for
+ * every strategy listed in availableStrategies.
+ */
+function loadStrategyWeights() {
+	chrome.storage.sync.get('strategyWeights', result => {
+		var weights = result.strategyWeights != undefined ? result.strategyWeights : {};
+
+		$('#strategyWeightsDiv').html('');
+		for (const strategy of data.availableStrategies) {
+			var weight = weights[strategy] != undefined ? weights[strategy] : 1;
+
+			$('#strategyWeightsDiv').append(
+				html`<div>
+					<em>${strategy}</em><br>
+					0
+					<input type="range" min="0" max="10" step="1" class="slider" id="${strategy}WeightSlider"
+						value="${weight}">
+					10
+					<div id="${strategy}WeightSliderVal">${weight}</div>
+				</div>`
+			);
+
+			$(`#${strategy}WeightSlider`).change(() => {
+				weights[strategy] = $(`#${strategy}WeightSlider`).val();
+				chrome.storage.sync.set({
+					strategyWeights: weights
+				}, result => {
+					createInfoAlert('infoDisplayDiv',
+						'Your changes have been saved! The changes will take effect on restart.'
+					);
+				});
+			});
+
+			$(`#${strategy}WeightSlider`).on('input', () => {
+				$(`#${strategy}WeightSliderVal`).text($(`#${strategy}WeightSlider`).val());
+			});
+		}
+	});
+}
+
+/**
+ * Loads the consent policy (how to react on consent walls) into the settings tab.
+ */
+function loadConsentPolicy() {
+	chrome.storage.sync.get('consentPolicy', result => {
+		var policy = result.consentPolicy;
+		if (!data.availableConsentPolicies.includes(policy))
+			policy = data.availableConsentPolicies[0];
+
+		$('#consentPolicySelect').val(policy);
+
+		$('#consentPolicySelect').off('change').change(() => {
+			chrome.storage.sync.set({
+				consentPolicy: $('#consentPolicySelect').val()
+			}, result => {
+				createInfoAlert('infoDisplayDiv', 'Your changes have been saved!');
+			});
+		});
+	});
+}
+
+/**
+ * Loads the flattening target (which distribution of interests the decoy visits aim for) into the
+ * settings tab.
+ */
+function loadFlatteningTarget() {
+	chrome.storage.sync.get('flatteningTarget', result => {
+		var target = result.flatteningTarget;
+		if (!data.availableFlatteningTargets.includes(target))
+			target = data.availableFlatteningTargets[0];
+
+		$('#flatteningTargetSelect').val(target);
+
+		$('#flatteningTargetSelect').off('change').change(() => {
+			chrome.storage.sync.set({
+				flatteningTarget: $('#flatteningTargetSelect').val()
+			}, result => {
+				createInfoAlert('infoDisplayDiv', 'Your changes have been saved!');
+			});
+		});
+	});
+}
+
+/**
+ * Loads the suggestion providers into the settings tab. The user can enable or disable every
+ * provider and change the order in which they are asked.
+ */
+function loadSuggestionProviders() {
+	chrome.storage.sync.get('suggestionProviders', result => {
+		var providers = result.suggestionProviders != undefined ? result.suggestionProviders : [];
+		for (const name of data.availableSuggestionProviders) {
+			if (!providers.some(provider => provider.name == name))
+				providers.push({ name: name, enabled: true });
+		}
+
+		var save = () => {
+			chrome.storage.sync.set({
+				suggestionProviders: providers
+			}, result => {
+				createInfoAlert('infoDisplayDiv',
+					'Your changes have been saved! The changes will take effect on restart.'
+				);
+				loadSuggestionProviders();
+			});
+		};
+
+		$('#suggestionProvidersList').html('');
+		providers.forEach((provider, index) => {
+			$('#suggestionProvidersList').append(
+				html`<li class="list-group-item d-flex justify-content-between align-items-center">
+					<span>
+						<input type="checkbox" id="${provider.name}ProviderCheckbox"
+							${trustHtml(provider.enabled ? 'checked' : '')}>
+						<em>${provider.name}</em>
+					</span>
+					<span>
+						<button type="button" class="btn btn-sm btn-outline-primary" id="${provider.name}ProviderUp"
+							${trustHtml(index == 0 ? 'disabled' : '')}>&uarr;</button>
+						<button type="button" class="btn btn-sm btn-outline-primary" id="${provider.name}ProviderDown"
+							${trustHtml(index == providers.length - 1 ? 'disabled' : '')}>&darr;</button>
+					</span>
+				</li>`
+			);
+
+			$(`#${provider.name}ProviderCheckbox`).change(() => {
+				provider.enabled = $(`#${provider.name}ProviderCheckbox`).prop('checked');
+				save();
+			});
+
+			$(`#${provider.name}ProviderUp`).click(() => {
+				providers.splice(index - 1, 0, providers.splice(index, 1)[0]);
+				save();
+			});
+
+			$(`#${provider.name}ProviderDown`).click(() => {
+				providers.splice(index + 1, 0, providers.splice(index, 1)[0]);
+				save();
+			});
+		});
+	});
+}
+
+/**
+ * Loads the hit and miss counts of the suggestion cache into the settings tab.
+ */
+function loadSuggestionCacheStats() {
+	chrome.storage.local.get('suggestionCacheStats', result => {
+		var stats = result.suggestionCacheStats != undefined ? result.suggestionCacheStats : {
+			hits: 0,
+			misses: 0
+		};
+		var total = stats.hits + stats.misses;
+
+		$('#suggestionCacheHits').text(stats.hits);
+		$('#suggestionCacheMisses').text(stats.misses);
+		$('#suggestionCacheHitRate').text(total > 0 ? `${Math.round(100 * stats.hits / total)} %` : '\u2013');
+	});
+}
+
+/**
+ * Adds the events to import recipes, either from the text area or from a file.
+ */
+function addRecipeImportEvents() {
+	$('#recipeFileInput').change(() => {
+		var file = $('#recipeFileInput').prop('files')[0];
+		if (file != undefined) {
+			file.text().then(text => {
+				$('#recipeInput').val(text);
+			});
+		}
+	});
+
+	$('#recipeImportButton').click(() => {
+		var recipes;
+		try {
+			recipes = JSON.parse($('#recipeInput').val());
+		} catch (err) {
+			createInfoAlert('recipeInfoDiv', `The recipes are no valid JSON: ${err.message}`);
+			return;
+		}
+
+		chrome.runtime.sendMessage({
+			type: 'sendInfo',
+			infoType: 'importRecipes',
+			recipes: recipes
+		}, response => {
+			if (response.errors.length > 0) {
+				createInfoAlert('recipeInfoDiv', `The recipes were not imported: ${response.errors.join(' ')}`);
+			} else {
+				createInfoAlert('recipeInfoDiv', 'The recipes have been imported!');
+				$('#recipeInput').val('');
+				loadRecipes();
+			}
+		});
+	});
+}
+
+/**
+ * Loads the list of recipes into the recipes tab.
+ */
+function loadRecipes() {
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'recipes'
+	}, response => {
+		$('#recipeList').html('');
+
+		for (const host of Object.keys(response.userRecipes).sort()) {
+			var item = $('<li class="list-group-item"></li>').text(host);
+			var button = $('<button type="button" class="btn btn-sm btn-outline-danger float-right"></button>');
+
+			button.text('Remove').click(() => {
+				chrome.runtime.sendMessage({
+					type: 'sendInfo',
+					infoType: 'removeRecipe',
+					host: host
+				}, response => {
+					loadRecipes();
+				});
+			});
+
+			$('#recipeList').append(item.append(button));
+		}
+
+		if (Object.keys(response.userRecipes).length == 0)
+			$('#recipeList').append($('<li class="list-group-item text-muted"></li>').text('None'));
+
+		$('#bundledRecipeList').text(`Bundled recipes: ${response.bundledHosts.sort().join(', ')}`);
+	});
+}
+
+/**
+ * Adds the event to create a new sensitive topic.
+ */
+function addSensitiveTopicEvents() {
+	$('#newSensitiveTopicButton').click(() => {
+		var name = $('#newSensitiveTopicName').val().trim();
+		var words = splitWords($('#newSensitiveTopicWords').val());
+
+		if (name.length == 0 || words.length == 0) {
+			createInfoAlert('sensitiveInfoDiv', 'Please enter a name and at least one word.');
+			return;
+		}
+
+		chrome.storage.sync.get('sensitiveTopicAdditions', result => {
+			var additions = result.sensitiveTopicAdditions != undefined ? result.sensitiveTopicAdditions : {};
+			additions[name] = (additions[name] != undefined ? additions[name] : []).concat(words);
+
+			chrome.storage.sync.set({
+				sensitiveTopicAdditions: additions
+			}, result => {
+				$('#newSensitiveTopicName').val('');
+				$('#newSensitiveTopicWords').val('');
+				loadSensitiveTopics();
+			});
+		});
+	});
+}
+
+/**
+ * Loads the sensitive topics into the sensitive topics tab. Every topic can be enabled or disabled
+ * and the user can add own words to it.
+ */
+function loadSensitiveTopics() {
+	fetch('../data/sensitiveTopics.json').then(response => response.json()).then(json => {
+		chrome.storage.sync.get(['sensitiveTopicAdditions', 'disabledSensitiveTopics'], result => {
+			var additions = result.sensitiveTopicAdditions != undefined ? result.sensitiveTopicAdditions : {};
+			var disabled = result.disabledSensitiveTopics != undefined ?
+				result.disabledSensitiveTopics : json.disabledByDefault;
+
+			$('#sensitiveTopicsList').html('');
+			Object.keys(Object.assign({}, json.categories, additions)).forEach((category, index) => {
+				var bundled = json.categories[category] != undefined ? json.categories[category] : [];
+				var added = additions[category] != undefined ? additions[category] : [];
+
+				$('#sensitiveTopicsList').append(
+					html`<li class="list-group-item">
+						<input type="checkbox" id="sensitiveTopic${index}Checkbox"
+							${trustHtml(disabled.includes(category) ? '' : 'checked')}>
+						<em>${category}</em>
+						<small class="text-muted">(${bundled.length} bundled words)</small>
+						<input type="text" class="form-control form-control-sm" id="sensitiveTopic${index}Words"
+							placeholder="Your words" style="margin-top: 5px;">
+					</li>`
+				);
+				$(`#sensitiveTopic${index}Words`).val(added.join(', '));
+
+				$(`#sensitiveTopic${index}Checkbox`).change(() => {
+					disabled = disabled.filter(name => name != category);
+					if (!$(`#sensitiveTopic${index}Checkbox`).prop('checked'))
+						disabled.push(category);
+
+					chrome.storage.sync.set({
+						disabledSensitiveTopics: disabled
+					}, result => {
+						createInfoAlert('sensitiveInfoDiv', 'Your changes have been saved!');
+					});
+				});
+
+				$(`#sensitiveTopic${index}Words`).change(() => {
+					var words = splitWords($(`#sensitiveTopic${index}Words`).val());
+					if (words.length > 0)
+						additions[category] = words;
+					else
+						delete additions[category];
+
+					chrome.storage.sync.set({
+						sensitiveTopicAdditions: additions
+					}, result => {
+						createInfoAlert('sensitiveInfoDiv', 'Your changes have been saved!');
+					});
+				});
+			});
+		});
+	});
+}
+
+/**
+ * Splits a comma separated list of words entered by the user.
+ * 
+ * @param {string} text The comma separated list.
+ */
+function splitWords(text) {
+	return text.split(',').map(word => word.trim().toLowerCase()).filter(word => word.length > 0);
+}
+
+/**
+ * Adds the event to replace all personas by newly generated ones.
+ */
+function addPersonaEvents() {
+	$('#regeneratePersonasButton').click(() => {
+		chrome.runtime.sendMessage({
+			type: 'sendInfo',
+			infoType: 'regeneratePersonas'
+		}, response => {
+			loadPersonas();
+			createInfoAlert('personaInfoDiv', 'New personas have been generated!');
+		});
+	});
+}
+
+/**
+ * Loads the personas into the personas tab. The user can rename every persona, choose its
+ * interests and edit its vocabulary and preferred sites.
+ */
+function loadPersonas() {
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'personas'
+	}, response => {
+		$('#personaList').html('');
+		response.personas.forEach((persona, index) => {
+			var categories = response.categories.map((category, categoryIndex) => {
+				return trustHtml(html`<label style="margin-right: 10px;">
+						<input type="checkbox" id="persona${index}Category${categoryIndex}"
+							${trustHtml(persona.categories.includes(category) ? 'checked' : '')}>
+						${category}
+					</label>`);
+			});
+			var badge = persona.id == response.activeId ?
+				'<span class="badge badge-success">Active</span>' : '';
+
+			$('#personaList').append(
+				html`<li class="list-group-item">
+					<input type="text" class="form-control form-control-sm" id="persona${index}Name">
+					${trustHtml(badge)}
+					<div style="margin-top: 5px;">${categories}</div>
+					<input type="text" class="form-control form-control-sm" id="persona${index}Vocabulary"
+						placeholder="Vocabulary" style="margin-top: 5px;">
+					<input type="text" class="form-control form-control-sm" id="persona${index}Sites"
+						placeholder="Preferred sites" style="margin-top: 5px;">
+				</li>`
+			);
+			$(`#persona${index}Name`).val(persona.name);
+			$(`#persona${index}Vocabulary`).val(persona.vocabulary.join(', '));
+			$(`#persona${index}Sites`).val(persona.sites.join(', '));
+
+			$(`#personaList li:last-child input`).change(() => {
+				persona.name = $(`#persona${index}Name`).val().trim();
+				persona.categories = response.categories.filter((category, categoryIndex) => {
+					return $(`#persona${index}Category${categoryIndex}`).prop('checked');
+				});
+				persona.vocabulary = splitWords($(`#persona${index}Vocabulary`).val());
+				persona.sites = splitWords($(`#persona${index}Sites`).val());
+
+				chrome.runtime.sendMessage({
+					type: 'sendInfo',
+					infoType: 'savePersona',
+					persona: persona
+				}, response => {
+					loadPersonas(); // The vocabulary and the sites might have changed while saving
+					createInfoAlert('personaInfoDiv', 'Your changes have been saved!');
+				});
+			});
+		});
+	});
+}
+
+/**
+ * Loads the statistics into the statistics tab and draws the charts.
+ */
+function loadStatistics() {
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'statistics'
+	}, response => {
+		// Only the sites with the most visits fit into the chart
+		var sites = response.sites.sort((a, b) => (b.real + b.decoy) - (a.real + a.decoy));
+		sites = sites.slice(0, 20);
+		drawBarChart('siteVisitsChart', sites.map(site => site.host.replace(/^www\./, '')), [
+			{ name: 'Real visits', color: '#007bff', values: sites.map(site => site.real) },
+			{ name: 'Decoy visits', color: '#ffc107', values: sites.map(site => site.decoy) }
+		]);
+
+		var days = response.dailyCounts.map(dC => new Date(dC[1]).toLocaleDateString());
+		drawBarChart('dailyCountsChart', days, [
+			{ name: 'Decoy visits', color: '#ffc107', values: response.dailyCounts.map(dC => dC[0]) }
+		]);
+
+		drawBarChart('searchesChart', ['Searches'], [
+			{ name: 'Performed', color: '#28a745', values: [response.searches.performed] },
+			{ name: 'Failed', color: '#dc3545', values: [response.searches.failed] }
+		]);
+
+		var trackers = Object.keys(response.trackers).sort((a, b) => response.trackers[b] - response.trackers[a]);
+		$('#trackerTableBody').html('');
+		for (const tracker of trackers) {
+			$('#trackerTableBody').append(
+				html`<tr>
+					<td>${tracker.replace(/^www\./, '')}</td>
+					<td>${response.trackers[tracker]}</td>
+				</tr>`
+			);
+		}
+	});
+
+	chrome.storage.local.get('interestProfiles', result => {
+		var profiles = result.interestProfiles != undefined ? result.interestProfiles : [];
+
+		var times = profiles.map(profile => new Date(profile.time).toLocaleString());
+		drawLineChart('entropyChart', times, [
+			{ name: 'Before decoy visits', color: '#007bff', values: profiles.map(p => p.beforeEntropy) },
+			{ name: 'After decoy visits', color: '#ffc107', values: profiles.map(p => p.afterEntropy) }
+		]);
+	});
+}
+
+/**
+ * Adds the events to create a new policy rule.
+ */
+function addPolicyEvents() {
+	$('#newPolicyRuleType').change(() => {
+		var type = $('#newPolicyRuleType').val();
+
+		$('#newPolicyRuleValue').toggle(type != 'category')
+			.attr('placeholder', policyRulePlaceholders[type]);
+		$('#newPolicyRuleCategory').toggle(type == 'category');
+	});
+
+	$('#newPolicyRuleButton').click(() => {
+		var type = $('#newPolicyRuleType').val();
+
+		chrome.runtime.sendMessage({
+			type: 'sendInfo',
+			infoType: 'addPolicyRule',
+			rule: {
+				action: $('#newPolicyRuleAction').val(),
+				type: type,
+				value: type == 'category' ? $('#newPolicyRuleCategory').val() : $('#newPolicyRuleValue').val()
+			}
+		}, response => {
+			if (response.error != '') {
+				createInfoAlert('policyInfoDiv', response.error);
+				return;
+			}
+
+			$('#newPolicyRuleValue').val('');
+			loadPolicy();
+			createInfoAlert('policyInfoDiv', 'The rule has been added!');
+		});
+	});
+}
+
+/**
+ * Loads the rules of the policy into the policy tab.
+ */
+function loadPolicy() {
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'policy'
+	}, response => {
+		var typeLabels = {
+			glob: 'Hostname',
+			regex: 'Regular expression',
+			ip: 'IP range',
+			category: 'Category'
+		};
+
+		$('#newPolicyRuleCategory').html(Object.keys(response.categories).map(name => {
+			return html`<option value="${name}">${response.categories[name]}</option>`;
+		}).join(''));
+
+		$('#policyRuleList').html('');
+		response.rules.forEach((rule, index) => {
+			var value = rule.type == 'category' && response.categories[rule.value] != undefined ?
+				response.categories[rule.value] : rule.value;
+
+			$('#policyRuleList').append(
+				html`<li class="list-group-item">
+					<span class="badge ${rule.action == 'deny' ? 'badge-danger' : 'badge-success'}">
+						${rule.action == 'deny' ? 'Deny' : 'Allow'}
+					</span>
+					<small class="text-muted">${typeLabels[rule.type]}</small>
+					<code>${value}</code>
+					<button type="button" class="btn btn-sm btn-outline-danger float-right"
+						id="policyRule${index}Button">Remove</button>
+				</li>`
+			);
+
+			$(`#policyRule${index}Button`).click(() => {
+				chrome.runtime.sendMessage({
+					type: 'sendInfo',
+					infoType: 'removePolicyRule',
+					rule: rule
+				}, response => {
+					loadPolicy();
+				});
+			});
+		});
+
+		if (response.rules.length == 0)
+			$('#policyRuleList').append($('<li class="list-group-item text-muted"></li>').text('None'));
+	});
+}
+
+/**
+ * Adds the events to show the details of a site. The extension page can be opened with the
+ * details of a site, e.g. extensionPage.html#site=www.example.com (see openSiteDetails).
+ */
+function addSiteEvents() {
+	$('#siteShowButton').click(() => {
+		loadSiteDetails($('#siteHostInput').val().trim());
+	});
+
+	var showSiteFromHash = () => {
+		if (!location.hash.startsWith('#site='))
+			return;
+
+		var host = decodeURIComponent(location.hash.substring('#site='.length));
+		$('#siteHostInput').val(host);
+		$('#pills-site-tab').tab('show');
+		loadSiteDetails(host);
+	};
+
+	$(window).on('hashchange', showSiteFromHash);
+	showSiteFromHash();
+}
+
+/**
+ * Loads the details of a site into the sites tab: the real and decoy visits, the policy, the
+ * search parameter, the stored search terms, the third parties and the latest actions.
+ *
+ * @param {string} host The hostname of the site.
+ */
+function loadSiteDetails(host) {
+	if (host == '') {
+		$('#siteDetails').html('');
+		return;
+	}
+
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'siteDetails',
+		host: host
+	}, response => {
+		if (response.error != '') {
+			$('#siteDetails').html('');
+			createInfoAlert('siteInfoDiv', response.error);
+			return;
+		}
+
+		var searchParam = response.searchParam == undefined ? 'Not known yet' :
+			response.searchParam == '' ? 'This site can not be searched' :
+			`${response.searchParam.template} (found via ${response.searchParam.source})`;
+
+		var policy = response.blockingRule == undefined ? 'FPFool may visit this site' :
+			`Blocked (${response.blockingRule.type}: ${response.blockingRule.value})`;
+
+		var terms = response.searchTerms.map(record => html`<tr>
+			<td>${record.term}</td>
+			<td>${record.frequency}</td>
+			<td>${record.decoyCount}</td>
+			<td>${new Date(record.lastSeen).toLocaleString()}</td>
+		</tr>`);
+
+		var none = trustHtml('<tr><td colspan="4">None</td></tr>');
+
+		var entries = response.logEntries.map(entry => html`<tr>
+			<td>${new Date(entry.time).toLocaleString()}</td>
+			<td>${entry.type}</td>
+			<td>${renderLink(entry.url)}</td>
+			<td>${entry.details}</td>
+		</tr>`);
+
+		$('#siteDetails').html(
+			html`<h3 class="text-primary">${response.host}</h3>
+			<table class="table table-sm">
+				<tbody>
+					<tr>
+						<th scope="row">Your visits (in the interval)</th>
+						<td>${response.realVisits}</td>
+					</tr>
+					<tr>
+						<th scope="row">Decoy visits (in the interval)</th>
+						<td>${response.decoyVisits}</td>
+					</tr>
+					<tr>
+						<th scope="row">Policy</th>
+						<td>${policy}</td>
+					</tr>
+					<tr>
+						<th scope="row">Search parameter</th>
+						<td><code>${searchParam}</code></td>
+					</tr>
+					<tr>
+						<th scope="row">Third parties</th>
+						<td>${response.thirdParties.length > 0 ? response.thirdParties.join(', ') : 'None'}</td>
+					</tr>
+				</tbody>
+			</table>
+			<h4 class="text-primary">Stored search terms</h4>
+			<table class="table table-sm">
+				<thead>
+					<tr>
+						<th scope="col">Term</th>
+						<th scope="col">Searches</th>
+						<th scope="col">Decoys</th>
+						<th scope="col">Last seen</th>
+					</tr>
+				</thead>
+				<tbody>${terms.length > 0 ? terms.map(trustHtml) : none}</tbody>
+			</table>
+			<h4 class="text-primary">Latest actions</h4>
+			<table class="table table-sm">
+				<thead>
+					<tr>
+						<th scope="col">Time</th>
+						<th scope="col">Action</th>
+						<th scope="col">URL</th>
+						<th scope="col">Details</th>
+					</tr>
+				</thead>
+				<tbody>${entries.length > 0 ? entries.map(trustHtml) : none}</tbody>
+			</table>`
+		);
+	});
 }
\ No newline at end of file
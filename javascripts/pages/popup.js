@@ -0,0 +1,137 @@
+/**
+ * @module html script - popup
+ */
+'use strict';
+
+/**
+ * Defines how the states of the engine are shown in the popup.
+ */
+const engineStateLabels = {
+	IDLE: 'Stopped',
+	LOADING_HISTORY: 'Loading browser history',
+	LOADING_TERMS: 'Loading search terms',
+	RUNNING: 'Running',
+	PAUSED: 'Paused',
+	LIMIT_REACHED: 'Limit reached'
+};
+
+/*
+ * Executes the script when the popup has loaded. The popup subscribes to the state of the
+ * extension, so it gets updated while it is open.
+ */
+$(document).ready(() => {
+	chrome.runtime.connect({
+		name: 'toolbar'
+	}).onMessage.addListener(showToolbarState);
+
+	$('#popupPauseButton').click(() => {
+		controlEngine('pause');
+	});
+
+	$('#popupResumeButton').click(() => {
+		controlEngine('resume');
+	});
+
+	$('#popupLogButton').click(() => {
+		openPage('./html/workingPage.html');
+	});
+
+	$('#popupSettingsButton').click(() => {
+		openPage('./html/extensionPage.html');
+	});
+
+	addSiteEvents();
+});
+
+/**
+ * Shows the state of the extension.
+ *
+ * @param {Object} state The state: { engineState, todayCount, connectionLimit, queueLength, error }.
+ */
+function showToolbarState(state) {
+	$('#popupEngineState').text(engineStateLabels[state.engineState]);
+	$('#popupTodayCount').text(`${state.todayCount} of ${state.connectionLimit} visits`);
+	$('#popupQueueLength').text(`${state.queueLength} urls`);
+
+	$('#popupError').text(state.error).toggle(state.error != '');
+
+	$('#popupPauseButton').toggle(state.engineState != 'PAUSED' && state.engineState != 'LIMIT_REACHED')
+		.prop('disabled', state.engineState != 'RUNNING');
+	$('#popupResumeButton').toggle(state.engineState == 'PAUSED' || state.engineState == 'LIMIT_REACHED');
+}
+
+/**
+ * Sends an action to the engine (see answerEngineControl). The new state arrives through the
+ * subscription.
+ *
+ * @param {string} action The action: 'pause' or 'resume'.
+ */
+function controlEngine(action) {
+	chrome.runtime.sendMessage({
+		type: 'sendInfo',
+		infoType: 'engineControl',
+		action: action
+	});
+}
+
+/**
+ * Opens a page of the extension in a new tab and closes the popup.
+ *
+ * @param {string} path The path of the page.
+ */
+function openPage(path) {
+	chrome.tabs.create({
+		url: chrome.runtime.getURL(path)
+	}, () => {
+		window.close();
+	});
+}
+
+/**
+ * Adds the events which act on the site of the active tab: camouflage it now, never touch it or
+ * show what FPFool did there (like the context menu of websites, see siteControl.js).
+ */
+function addSiteEvents() {
+	chrome.tabs.query({
+		active: true,
+		currentWindow: true
+	}, tabs => {
+		if (tabs.length == 0 || tabs[0].url == undefined || !tabs[0].url.startsWith('http'))
+			return; // Not a website
+
+		var url = tabs[0].url;
+		var host = new URL(url).hostname;
+
+		$('#popupSiteHost').text(host);
+		$('#popupSite').show();
+
+		$('#popupCamouflageButton').click(() => {
+			sendSiteAction('camouflageSite', url, 'FPFool visits this site next.');
+		});
+
+		$('#popupExcludeButton').click(() => {
+			sendSiteAction('excludeSite', url, 'FPFool never visits this site again.');
+		});
+
+		$('#popupSiteDetailsButton').click(() => {
+			openPage(`./html/extensionPage.html#site=${encodeURIComponent(host)}`);
+		});
+	});
+}
+
+/**
+ * Sends an action for a site to the background script and shows the result.
+ *
+ * @param {string} infoType The action: 'camouflageSite' or 'excludeSite'.
+ * @param {string} url The url of the site.
+ * @param {string} success The text which is shown if the action succeeded.
+ */
+function sendSiteAction(infoType, url, success) {
+	chrome.runtime.sendMessage({
+		type: 'sendInfo',
+		infoType: infoType,
+		url: url
+	}, response => {
+		$('#popupSiteInfo').text(response.error != '' ? response.error : success).show();
+	});
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * @module html script - render
+ */
+'use strict';
+
+/**
+ * Defines the url schemes which may be used for links. Everything else (e.g. javascript: or
+ * data: urls) is shown as text only.
+ */
+const safeUrlSchemes = ['http:', 'https:'];
+
+/**
+ * Marks a piece of markup as trusted, so the html template tag inserts it without escaping. Only
+ * use it for markup which has been built by the html template tag or which contains no data.
+ *
+ * @param {string} markup The trusted markup.
+ */
+function trustHtml(markup) {
+	return {
+		trustedHtml: `${markup}`
+	};
+}
+
+/**
+ * Template tag which builds markup from a template literal. Every inserted value gets escaped,
+ * unless it has been marked as trusted (see trustHtml). Arrays are inserted element by element.
+ * Example: $('#list').append(html`<li>${name}</li>`);
+ *
+ * @param {string[]} strings The literal parts of the template.
+ * @param {...*} values The inserted values.
+ */
+function html(strings, ...values) {
+	var insert = value => {
+		if (Array.isArray(value))
+			return value.map(insert).join('');
+
+		if (value != null && typeof value === 'object' && typeof value.trustedHtml === 'string')
+			return value.trustedHtml;
+
+		return escapeHtml(value);
+	};
+
+	return strings.reduce((markup, string, index) => markup + insert(values[index - 1]) + string);
+}
+
+/**
+ * Escapes a value, such that it can be safely inserted into markup (both as text and as value of
+ * an attribute in quotes). Undefined and null become an empty string.
+ *
+ * @param {*} value The value to escape.
+ */
+function escapeHtml(value) {
+	if (value == undefined)
+		return '';
+
+	return `${value}`
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;')
+		.replace(/`/g, '&#96;');
+}
+
+/**
+ * Checks if an url may be used for a link, i.e., if it is an absolute url with a safe scheme.
+ *
+ * @param {string} url The url to check.
+ */
+function isSafeUrl(url) {
+	try {
+		return safeUrlSchemes.includes(new URL(url).protocol);
+	} catch (err) { // Not an absolute url
+		return false;
+	}
+}
+
+/**
+ * Renders an url as a link, if it has a safe scheme, otherwise as text. Empty urls are rendered
+ * as a dash.
+ *
+ * @param {string} url The url to render.
+ */
+function renderLink(url) {
+	if (url == undefined || url == '')
+		return trustHtml('&ndash;');
+
+	if (!isSafeUrl(url))
+		return trustHtml(escapeHtml(url));
+
+	return trustHtml(html`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`);
+}
\ No newline at end of file
@@ -8,49 +8,84 @@
  */
 const dataPath = '../data/data.json';
 
+/**
+ * Defines the height (in pixels) of a row of the log table. All rows have the same height, so
+ * only the visible rows need to be rendered.
+ */
+const logRowHeight = 33;
+
+/**
+ * Defines how many rows are rendered above and below the visible rows, so scrolling stays smooth.
+ */
+const logRowBuffer = 10;
+
+/**
+ * Defines the columns of the log table (in the order of the table header) and how they are
+ * compared when sorting by them.
+ */
+const logColumns = [
+	{ key: 'time', type: 'number' },
+	{ key: 'tabId', type: 'number' },
+	{ key: 'url', type: 'string' },
+	{ key: 'toUrl', type: 'string' },
+	{ key: 'action', type: 'string' }
+];
+
+/**
+ * Defines how often (in milliseconds) the monitor of the running tabs gets updated.
+ */
+const monitorInterval = 2000;
+
 /**
  * Saves the content of the data.json file.
  */
 var data;
 
+/**
+ * Holds the entries of the activity log which match the filter, in the order in which they are
+ * shown.
+ */
+var logEntries = [];
+
+/**
+ * Holds the column by which the log is sorted and the direction.
+ */
+var logSort = {
+	column: 0,
+	ascending: true
+};
+
 /*
- * Executes the script when the page has loaded. This script logs the acitivities performed
- * by the extension.
+ * Executes the script when the page has loaded. This script shows the activity log of the
+ * extension.
  */
 $(document).ready(() => {
 	fetch(dataPath).then(response => response.json()).then(json => {
 		// Save json content in variable to make it accessible elsewhere
 		data = json;
 
+		for (const type of Object.keys(data.availableActionTypes)) {
+			$('#logTypeFilter').append(html`<option value="${type}">${type}</option>`);
+		}
+
 		addClickEventToTable('logTable'); // Necessary to make the table sortable
+		addFilterEvents();
+		addExportEvents();
+		$('#logContainer').scroll(renderLog);
 
-		// Waits for messages from content scripts. The content scripts will inform this script
-		// whenever they perform an action, so we can update the status information.
+		loadLogEntries();
+
+		addMonitorEvents();
+		loadMonitor();
+		setInterval(loadMonitor, monitorInterval);
+
+		// Waits for new entries of the activity log. The background script saves every action
+		// performed by the extension and sends it to this page.
 		chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-			if (data.availableActionTypes.hasOwnProperty(request.type)) {
-				var action;
-				switch (request.type) {
-					case data.availableActionTypes.GETPARAM:
-						action = `Finding out search parameter.`;
-						break;
-					case data.availableActionTypes.OPEN:
-						action = `Opened a new tab.`;
-						break;
-					case data.availableActionTypes.REMOVE:
-						action = `Closed this tab.`;
-						break;
-					case data.availableActionTypes.SEARCH:
-						action = `Searched for \"${request.searchTerm}\".`;
-						break;
-					case data.availableActionTypes.SEARCHFAIL:
-						action = 'Tried to search, but did not work.'
-						break;
-					default:
-						action = 'Unknown action.';
-						break;
-				}
-
-				appendTable(sender.tab.id, request.url, request.toUrl, action, request.type);
+			if (request.type == 'logEntry' && matchesFilter(request.entry, getFilter())) {
+				logEntries.push(request.entry);
+				sortLog();
+				renderLog();
 			}
 		});
 	});
@@ -59,134 +94,376 @@ $(document).ready(() => {
 /**
  * Adds the onclick event to a given table, so the table is sortable. We can not execute
  * inline script code, so we are not able to set the onclick event directly in the html
- * file.
- * 
+ * file. Clicking the same column again reverses the direction.
+ *
  * @param {string} tableId The id of the table we want to make sortable.
  */
 function addClickEventToTable(tableId) {
-	$(`#${tableId} thead tr th`).each(() => {
-		$(this).click(() => {
-			sortTable($(this).attr('num'), tableId);
+	$(`#${tableId} thead tr th`).each((index, th) => {
+		$(th).click(() => {
+			var column = parseInt($(th).attr('num'));
+			logSort.ascending = logSort.column == column ? !logSort.ascending : true;
+			logSort.column = column;
+
+			sortLog();
+			renderLog();
 		});
 	});
 }
 
 /**
- * Appends a new row to the status table. This row contains the following entries:
- * 
- * @param {number} tabId The id of the tab in which the event occured.
- * @param {string} urlFrom The url on which an event has happened.
- * @param {string} urlTo The url to which we got directed (if we got directed at all).
- * @param {string} action The description of the event.
- * @param {string} type The type of the event.
+ * Adds the events to the controls of the monitor. The rows of the monitor are replaced on every
+ * update, so the events are delegated to the tables.
  */
-function appendTable(tabId, urlFrom, urlTo, action, type) {
-	var color;
-	switch (type) {
+function addMonitorEvents() {
+	$('#monitorTabsBody').on('click', 'button', event => {
+		chrome.runtime.sendMessage({
+			type: 'sendInfo',
+			infoType: $(event.currentTarget).attr('data-action'),
+			tabId: parseInt($(event.currentTarget).attr('data-tab'))
+		}, response => {
+			loadMonitor();
+		});
+	});
+
+	$('#monitorQueueList').on('click', 'button', event => {
+		var button = $(event.currentTarget);
+		var index = parseInt(button.attr('data-index'));
+
+		chrome.runtime.sendMessage({
+			type: 'sendInfo',
+			infoType: button.attr('data-action'),
+			index: index,
+			url: button.attr('data-url'),
+			to: index + parseInt(button.attr('data-offset'))
+		}, response => {
+			loadMonitor();
+		});
+	});
+}
+
+/**
+ * Loads the running tabs and the queue from the background script into the monitor.
+ */
+function loadMonitor() {
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'monitor'
+	}, response => {
+		var now = (new Date).getTime();
+
+		var rows = response.tabs.map(tab => {
+			var lastAction = trustHtml('&ndash;');
+			if (tab.lastAction != undefined)
+				lastAction = `${tab.lastAction.type} (${formatDuration(now - tab.lastAction.time)} ago)`;
+
+			return html`<tr>
+				<td>${tab.id}</td>
+				<td>${renderLink(tab.url)}</td>
+				<td>${tab.strategy}${tab.kind == 'probe' ? ' (search parameter)' : ''}</td>
+				<td>${formatDuration(now - tab.startTime)}</td>
+				<td>${lastAction}</td>
+				<td>
+					<button type="button" class="btn btn-sm btn-outline-secondary" data-action="endTab"
+						data-tab="${tab.id}">End</button>
+					<button type="button" class="btn btn-sm btn-outline-secondary" data-action="skipTab"
+						data-tab="${tab.id}">Skip</button>
+					<button type="button" class="btn btn-sm btn-outline-danger" data-action="blockDomain"
+						data-tab="${tab.id}">Block domain</button>
+				</td>
+			</tr>`;
+		});
+		$('#monitorTabsBody').html(rows.length > 0 ?
+			rows.join('') : '<tr><td colspan="6">No tabs are open right now.</td></tr>');
+
+		// The background script only sends the first entries of the queue
+		$('#monitorQueueList').html(response.queue.map((url, index) => {
+			return html`<li class="list-group-item d-flex justify-content-between align-items-center">
+				<span>${index + 1}. ${renderLink(url)}</span>
+				<span>
+					<button type="button" class="btn btn-sm btn-outline-primary" data-action="moveQueueEntry"
+						data-index="${index}" data-url="${url}" data-offset="-1"
+						${trustHtml(index == 0 ? 'disabled' : '')}>&uarr;</button>
+					<button type="button" class="btn btn-sm btn-outline-primary" data-action="moveQueueEntry"
+						data-index="${index}" data-url="${url}" data-offset="1"
+						${trustHtml(index == response.queueLength - 1 ? 'disabled' : '')}>&darr;</button>
+					<button type="button" class="btn btn-sm btn-outline-danger" data-action="removeQueueEntry"
+						data-index="${index}" data-url="${url}" data-offset="0">Remove</button>
+				</span>
+			</li>`;
+		}).join(''));
+
+		var info = `${response.queueLength} entries`;
+		if (response.queueLength == 0)
+			info = 'The queue is empty.';
+		else if (response.queueLength > response.queue.length)
+			info += ` (the first ${response.queue.length} are shown)`;
+		$('#monitorQueueInfo').text(info);
+	});
+}
+
+/**
+ * Formats a duration for printing (minutes and seconds).
+ *
+ * @param {number} duration The duration in milliseconds.
+ */
+function formatDuration(duration) {
+	var seconds = Math.max(Math.floor(duration / 1000), 0);
+	var minutes = Math.floor(seconds / 60);
+
+	return `${minutes}:${seconds % 60 < 10 ? '0' : ''}${seconds % 60}`;
+}
+
+/**
+ * Adds the events which reload the log whenever the user changes the filter.
+ */
+function addFilterEvents() {
+	$('#logTypeFilter, #logHostFilter, #logFromFilter, #logToFilter').change(loadLogEntries);
+	$('#logResetFilterButton').click(() => {
+		$('#logTypeFilter').val('');
+		$('#logHostFilter, #logFromFilter, #logToFilter').val('');
+		loadLogEntries();
+	});
+}
+
+/**
+ * Adds the events to export the filtered log.
+ */
+function addExportEvents() {
+	$('#logExportCsvButton').click(() => {
+		var columns = ['time', 'tabId', 'url', 'toUrl', 'type', 'details'];
+		var lines = [columns.join(',')].concat(logEntries.map(entry => {
+			return columns.map(column => {
+				var value = column == 'time' ? new Date(entry.time).toISOString() : `${entry[column]}`;
+				return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+			}).join(',');
+		}));
+
+		downloadFile('fpfool-log.csv', lines.join('\r\n'), 'text/csv');
+	});
+
+	$('#logExportJsonButton').click(() => {
+		downloadFile('fpfool-log.json', JSON.stringify(logEntries, null, '\t'), 'application/json');
+	});
+}
+
+/**
+ * Lets the user download a file with the given content.
+ *
+ * @param {string} name The name of the file.
+ * @param {string} content The content of the file.
+ * @param {string} type The MIME type of the file.
+ */
+function downloadFile(name, content, type) {
+	var url = URL.createObjectURL(new Blob([content], { type: type }));
+	var link = document.createElement('a');
+
+	link.href = url;
+	link.download = name;
+	link.click();
+
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Returns the filter chosen by the user.
+ */
+function getFilter() {
+	var from = $('#logFromFilter').val();
+	var to = $('#logToFilter').val();
+
+	return {
+		types: $('#logTypeFilter').val() != '' ? [$('#logTypeFilter').val()] : [],
+		host: $('#logHostFilter').val(),
+		from: from != '' ? new Date(from).getTime() : undefined,
+		to: to != '' ? new Date(to).getTime() : undefined
+	};
+}
+
+/**
+ * Checks if an entry of the activity log matches a filter (see getLogEntries in the background).
+ *
+ * @param {Object} entry The entry of the activity log.
+ * @param {Object} filter The filter.
+ */
+function matchesFilter(entry, filter) {
+	return (filter.types.length == 0 || filter.types.includes(entry.type))
+		&& entry.host.includes(filter.host.trim().toLowerCase())
+		&& (filter.from == undefined || entry.time >= filter.from)
+		&& (filter.to == undefined || entry.time <= filter.to);
+}
+
+/**
+ * Loads the entries of the activity log which match the filter from the background script.
+ */
+function loadLogEntries() {
+	chrome.runtime.sendMessage({
+		type: 'getInfo',
+		infoType: 'logEntries',
+		filter: getFilter()
+	}, response => {
+		logEntries = response.entries;
+		sortLog();
+		renderLog();
+	});
+}
+
+/**
+ * Sorts the log by the chosen column. Numbers are compared as numbers, texts are compared
+ * according to the language of the browser.
+ */
+function sortLog() {
+	var column = logColumns[logSort.column];
+	var direction = logSort.ascending ? 1 : -1;
+	var value = entry => column.key == 'action' ? describeAction(entry) : entry[column.key];
+
+	logEntries.sort((a, b) => {
+		var comparison = column.type == 'number' ?
+			value(a) - value(b) : `${value(a)}`.localeCompare(`${value(b)}`);
+
+		return comparison != 0 ? direction * comparison : a.id - b.id; // Keep the order of equal rows
+	});
+
+	$('#logTable thead tr th').each((index, th) => {
+		$(th).find('span').remove();
+		if (index == logSort.column)
+			$(th).append(`<span>${logSort.ascending ? ' &#9650;' : ' &#9660;'}</span>`);
+	});
+}
+
+/**
+ * Renders the rows of the log table which are visible in the scroll container. Empty rows above
+ * and below take the place of all other rows, so the scrollbar stays the same.
+ */
+function renderLog() {
+	var container = $('#logContainer');
+	var first = Math.max(Math.floor(container.scrollTop() / logRowHeight) - logRowBuffer, 0);
+	var last = Math.min(first + Math.ceil(container.height() / logRowHeight) + 2 * logRowBuffer,
+		logEntries.length);
+
+	var rows = [`<tr style="height: ${first * logRowHeight}px;"></tr>`];
+	for (var i = first; i < last; i++) {
+		rows.push(createLogRow(logEntries[i]));
+	}
+	rows.push(`<tr style="height: ${(logEntries.length - last) * logRowHeight}px;"></tr>`);
+
+	$('#statusTableBody').html(rows.join(''));
+	$('#logCount').text(logEntries.length);
+}
+
+/**
+ * Creates a row of the log table for an entry of the activity log. The urls and the details come
+ * from visited pages and suggestion providers, so everything gets escaped (see render.js).
+ *
+ * @param {Object} entry The entry of the activity log.
+ */
+function createLogRow(entry) {
+	var tabId = entry.tabId >= 0 ? entry.tabId : trustHtml('&ndash;'); // Actions of the background script
+
+	return html`
+		<tr class="${getRowClass(entry.type)}">
+			<td>${formatDate(new Date(entry.time))}</td>
+			<td>${tabId}</td>
+			<td>${renderLink(entry.url)}</td>
+			<td>${renderLink(entry.toUrl)}</td>
+			<td>${describeAction(entry)}</td>
+		</tr>
+		`;
+}
+
+/**
+ * Returns the description of an action of the activity log.
+ *
+ * @param {Object} entry The entry of the activity log.
+ */
+function describeAction(entry) {
+	switch (entry.type) {
+		case data.availableActionTypes.BLOCKED:
+			return `Did not visit this page, because the policy blocks it (${entry.details}).`;
+		case data.availableActionTypes.CONSENTACCEPT:
+			return `Accepted the cookie consent (${entry.details}).`;
+		case data.availableActionTypes.CONSENTFAIL:
+			return `Found a consent wall (${entry.details}), but could not apply the policy.`;
+		case data.availableActionTypes.CONSENTLEAVE:
+			return `Left the consent wall (${entry.details}) as it is.`;
+		case data.availableActionTypes.CONSENTREJECT:
+			return `Rejected the cookie consent (${entry.details}).`;
+		case data.availableActionTypes.DWELL:
+			return `Browsing this page for ${entry.details}.`;
 		case data.availableActionTypes.GETPARAM:
-			color = '<tr class=\"table-info\">'; // Light blue
-			break;
+			return `Finding out search parameter.`;
+		case data.availableActionTypes.INTERSTITIAL:
+			return 'Passed an age or region interstitial.';
+		case data.availableActionTypes.LINKHOP:
+			return `Followed a link (hop ${entry.details}).`;
+		case data.availableActionTypes.NOSTRATEGY:
+			return 'No camouflage strategy applicable.';
 		case data.availableActionTypes.OPEN:
-			color = '<tr class=\"table-success\">'; // Green
-			break;
+			return `Opened a new tab.`;
 		case data.availableActionTypes.REMOVE:
-			color = '<tr class=\"table-dark\">'; // Dark grey
-			break;
+			return `Closed this tab.`;
 		case data.availableActionTypes.SEARCH:
-			color = '<tr class=\"table-warning\">'; // Yellow
-			break;
+			return `Searched for \"${entry.details}\".`;
 		case data.availableActionTypes.SEARCHFAIL:
-			color = '<tr class=\"table-danger\">'; // Red
-			break;
+			return 'Tried to search, but did not work.';
+		case data.availableActionTypes.SENSITIVE:
+			return `Rejected a search term about a sensitive topic (${entry.details}).`;
 		default:
-			color = '<tr class=\"table-active\">'; // Grey
-			break;
+			return 'Unknown action.';
 	}
+}
 
-	$('#statusTableBody').append(
-		`
-		${color}
-			<td>${formatDate(new Date())}</td>
-			<td>${tabId}</td>
-			<td><a href=\"${urlFrom}\">${urlFrom}</a></td>
-			<td><a href=\"${urlTo}\">${urlTo}</a></td>
-			<td>${action}</td>
-		</tr>
-		`
-	);
+/**
+ * Returns the class of a row of the log table, which colors the row according to the type of
+ * the action.
+ *
+ * @param {string} type The type of the action.
+ */
+function getRowClass(type) {
+	switch (type) {
+		case data.availableActionTypes.BLOCKED:
+			return 'table-dark'; // Dark grey
+		case data.availableActionTypes.CONSENTACCEPT:
+		case data.availableActionTypes.CONSENTREJECT:
+		case data.availableActionTypes.INTERSTITIAL:
+			return 'table-light'; // White
+		case data.availableActionTypes.CONSENTFAIL:
+		case data.availableActionTypes.CONSENTLEAVE:
+			return 'table-danger'; // Red
+		case data.availableActionTypes.DWELL:
+			return 'table-secondary'; // Light grey
+		case data.availableActionTypes.GETPARAM:
+			return 'table-info'; // Light blue
+		case data.availableActionTypes.LINKHOP:
+			return 'table-primary'; // Blue
+		case data.availableActionTypes.NOSTRATEGY:
+			return 'table-danger'; // Red
+		case data.availableActionTypes.OPEN:
+			return 'table-success'; // Green
+		case data.availableActionTypes.REMOVE:
+			return 'table-dark'; // Dark grey
+		case data.availableActionTypes.SEARCH:
+			return 'table-warning'; // Yellow
+		case data.availableActionTypes.SEARCHFAIL:
+			return 'table-danger'; // Red
+		case data.availableActionTypes.SENSITIVE:
+			return 'table-info'; // Light blue
+		default:
+			return 'table-active'; // Grey
+	}
 }
 
 /**
- * Formats a given date for printing (we are interested in the time only).
- * 
- * @param {Date} date The date object we want to print. 
+ * Formats a given date for printing. Actions of today only show the time, older actions show
+ * the date as well.
+ *
+ * @param {Date} date The date object we want to print.
  */
 function formatDate(date) {
 	var hours = date.getHours() < 10 ? `0${date.getHours()}` : date.getHours();
 	var minutes = date.getMinutes() < 10 ? `0${date.getMinutes()}` : date.getMinutes();
 	var seconds = date.getSeconds() < 10 ? `0${date.getSeconds()}` : date.getSeconds();
+	var day = date.toDateString() != (new Date).toDateString() ? `${date.toLocaleDateString()} ` : '';
 
-	return `${hours}:${minutes}:${seconds}`;
-}
-
-/**
- * Sorts a table by a specified column.
- * Source: https://www.w3schools.com/howto/howto_js_sort_table.asp
- * 
- * @param {number} n The index of the column to sort by.
- * @param {string} tableId The id of the table we want to sort.
- */
-function sortTable(n, tableId) {
-	var table, rows, switching, i, x, y, shouldSwitch, dir, switchcount = 0;
-	table = document.getElementById(tableId);
-	switching = true;
-	// Set the sorting direction to ascending:
-	dir = "asc";
-	/* Make a loop that will continue until
-	no switching has been done: */
-	while (switching) {
-		// Start by saying: no switching is done:
-		switching = false;
-		rows = table.rows;
-		/* Loop through all table rows (except the
-		first, which contains table headers): */
-		for (i = 1; i < (rows.length - 1); i++) {
-			// Start by saying there should be no switching:
-			shouldSwitch = false;
-			/* Get the two elements you want to compare,
-			one from current row and one from the next: */
-			x = rows[i].getElementsByTagName("TD")[n];
-			y = rows[i + 1].getElementsByTagName("TD")[n];
-			/* Check if the two rows should switch place,
-			based on the direction, asc or desc: */
-			if (dir == "asc") {
-				if (x.innerHTML.toLowerCase() > y.innerHTML.toLowerCase()) {
-					// If so, mark as a switch and break the loop:
-					shouldSwitch = true;
-					break;
-				}
-			} else if (dir == "desc") {
-				if (x.innerHTML.toLowerCase() < y.innerHTML.toLowerCase()) {
-					// If so, mark as a switch and break the loop:
-					shouldSwitch = true;
-					break;
-				}
-			}
-		}
-		if (shouldSwitch) {
-			/* If a switch has been marked, make the switch
-			and mark that a switch has been done: */
-			rows[i].parentNode.insertBefore(rows[i + 1], rows[i]);
-			switching = true;
-			// Each time a switch is done, increase this count by 1:
-			switchcount++;
-		} else {
-			/* If no switching has been done AND the direction is "asc",
-			set the direction to "desc" and run the while loop again. */
-			if (switchcount == 0 && dir == "asc") {
-				dir = "desc";
-				switching = true;
-			}
-		}
-	}
+	return `${day}${hours}:${minutes}:${seconds}`;
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * @module test helper - browser
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+/**
+ * Holds the path to the root of the extension.
+ */
+const rootPath = path.join(__dirname, '..', '..');
+
+/**
+ * Reads a file of the extension (path relative to the root of the extension).
+ *
+ * @param {string} file The path of the file.
+ */
+function readFile(file) {
+	return fs.readFileSync(path.join(rootPath, file), 'utf8');
+}
+
+/**
+ * Reads the data.json file of the extension.
+ */
+function readData() {
+	return JSON.parse(readFile('data/data.json'));
+}
+
+/**
+ * Evaluates background scripts in a plain context (without DOM) and returns the context, so the
+ * declarations of the scripts can be read with getGlobal.
+ *
+ * @param {string[]} scripts The paths of the scripts.
+ * @param {Object} [globals] Globals which the scripts expect to exist.
+ */
+function loadScripts(scripts, globals) {
+	var context = vm.createContext(Object.assign({ URL: URL, console: console }, globals));
+
+	for (const script of scripts) {
+		vm.runInContext(readFile(script), context, { filename: script });
+	}
+
+	return context;
+}
+
+/**
+ * Reads a declaration of the scripts in a context. Declarations with const are not properties of
+ * the global object, so they get read by evaluating their name.
+ *
+ * @param {Object} context The context (see loadScripts) or window (see loadPage).
+ * @param {string} name The name of the declaration.
+ */
+function getGlobal(context, name) {
+	return typeof context.eval === 'function' ? context.eval(name) : vm.runInContext(name, context);
+}
+
+/**
+ * Creates a page with the given markup and evaluates content or page scripts in it. jsdom does
+ * not lay out pages, so visible elements get a fixed size (see emulateLayout).
+ *
+ * @param {string} markup The markup of the page.
+ * @param {string[]} scripts The paths of the scripts.
+ * @param {Object} [globals] Globals which the scripts expect to exist.
+ */
+function loadPage(markup, scripts, globals) {
+	var dom = new JSDOM(markup, {
+		url: 'https://www.example.com/',
+		runScripts: 'outside-only',
+		pretendToBeVisual: true
+	});
+	var window = dom.window;
+
+	emulateLayout(window);
+	Object.assign(window, globals);
+
+	var context = dom.getInternalVMContext();
+	for (const script of scripts) {
+		vm.runInContext(readFile(script), context, { filename: script });
+	}
+
+	return window;
+}
+
+/**
+ * Reads a saved page from the fixtures and loads it (see loadPage).
+ *
+ * @param {string} fixture The path of the fixture (relative to test/fixtures).
+ * @param {string[]} scripts The paths of the scripts.
+ * @param {Object} [globals] Globals which the scripts expect to exist.
+ */
+function loadFixture(fixture, scripts, globals) {
+	var markup = fs.readFileSync(path.join(__dirname, '..', 'fixtures', fixture), 'utf8');
+	return loadPage(markup, scripts, globals);
+}
+
+/**
+ * Gives every displayed element a size, stacked in document order, and makes the page scrollable,
+ * since jsdom has no layout engine. Elements which are hidden (or inside hidden elements) have no
+ * size, like in a browser.
+ *
+ * @param {Object} window The window of the page.
+ */
+function emulateLayout(window) {
+	var rowHeight = 30;
+
+	var isHidden = elem => {
+		for (var node = elem; node != null && node.nodeType == 1; node = node.parentElement) {
+			var style = window.getComputedStyle(node);
+			if (node.hidden || style.display == 'none' || style.visibility == 'hidden')
+				return true;
+		}
+
+		return false;
+	};
+
+	window.HTMLElement.prototype.getBoundingClientRect = function () {
+		if (isHidden(this))
+			return { top: 0, left: 0, bottom: 0, right: 0, width: 0, height: 0, x: 0, y: 0 };
+
+		var index = Array.from(window.document.querySelectorAll('*')).indexOf(this);
+		var top = index * rowHeight - window.scrollY;
+
+		return {
+			top: top,
+			left: 0,
+			bottom: top + rowHeight,
+			right: 200,
+			width: 200,
+			height: rowHeight,
+			x: 0,
+			y: top
+		};
+	};
+
+	var scrollY = 0;
+	Object.defineProperty(window, 'scrollY', {
+		get: () => scrollY,
+		configurable: true
+	});
+	window.scrollTo = (x, y) => {
+		scrollY = Math.max(y, 0);
+	};
+
+	window.document.elementFromPoint = (x, y) => window.document.body;
+}
+
+/**
+ * Replaces the timers and the clock of a window with a virtual clock, so time based simulations
+ * run instantly and always in the same order. Returns a function which runs all timers until
+ * none is left and returns the virtual time which has passed.
+ *
+ * @param {Object} window The window of the page.
+ */
+function installVirtualClock(window) {
+	var now = 0;
+	var timers = [];
+	var nextId = 1;
+
+	window.Date.now = () => now;
+	window.setTimeout = (callback, delay) => {
+		timers.push({ id: nextId, time: now + Math.max(delay || 0, 0), callback: callback });
+		return nextId++;
+	};
+	window.clearTimeout = id => {
+		timers = timers.filter(timer => timer.id != id);
+	};
+
+	return () => {
+		while (timers.length > 0) {
+			timers.sort((a, b) => a.time - b.time || a.id - b.id);
+			var timer = timers.shift();
+			now = timer.time;
+			timer.callback();
+		}
+
+		return now;
+	};
+}
+
+module.exports = {
+	readFile,
+	readData,
+	loadScripts,
+	getGlobal,
+	loadPage,
+	loadFixture,
+	installVirtualClock
+};
\ No newline at end of file
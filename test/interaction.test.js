@@ -0,0 +1,118 @@
+/**
+ * @module test - interaction
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, loadScripts, getGlobal, installVirtualClock } = require('./helpers/browser');
+
+/**
+ * Defines the content scripts which are needed to simulate a visit.
+ */
+const interactionScripts = ['javascripts/content/strategy.js', 'javascripts/content/interaction.js'];
+
+/**
+ * Holds the seed which the background script uses in debug mode.
+ */
+const debugSeed = getGlobal(loadScripts(['javascripts/background/connection.js']), 'debugSeed');
+
+/**
+ * Creates a long article, so there is something to scroll through.
+ */
+function createArticle() {
+	var paragraphs = [];
+	for (var i = 0; i < 40; i++) {
+		paragraphs.push(`<h2>Section ${i}</h2><p>${'Some text to read. '.repeat(i % 5 + 1)}</p>`);
+	}
+
+	return `<!DOCTYPE html><html><body><article>${paragraphs.join('')}</article></body></html>`;
+}
+
+/**
+ * Simulates a visit of the article with a seed and records everything the visitor did: the dwell
+ * time, the scroll positions and the mouse events (with their positions), in the order of their
+ * virtual time.
+ *
+ * @param {Object} context The context of the visit (see simulateVisit).
+ */
+function recordVisit(context) {
+	var window = loadPage(createArticle(), interactionScripts);
+	var runTimers = installVirtualClock(window);
+	var actions = [];
+	var dwellTime, done = false;
+
+	var scrollTo = window.scrollTo;
+	window.scrollTo = (x, y) => {
+		actions.push(`scroll ${Math.round(y)} @${window.Date.now()}`);
+		scrollTo(x, y);
+	};
+
+	for (const type of ['mouseover', 'mousemove', 'mouseout']) {
+		window.document.addEventListener(type, event => {
+			actions.push(`${type} ${event.clientX},${event.clientY} @${window.Date.now()}`);
+		});
+	}
+
+	window.simulateVisit(context, () => {
+		done = true;
+	}, time => {
+		dwellTime = time;
+	});
+
+	var duration = runTimers();
+
+	return {
+		dwellTime: dwellTime,
+		duration: duration,
+		done: done,
+		actions: actions
+	};
+}
+
+test('createRandom returns the same sequence in [0, 1) for the same seed', () => {
+	var window = loadPage('<!DOCTYPE html><html><body></body></html>', interactionScripts);
+	var first = window.createRandom(debugSeed);
+	var second = window.createRandom(debugSeed);
+	var other = window.createRandom(debugSeed + 1);
+
+	var sequence = Array.from({ length: 100 }, () => first());
+
+	assert.deepStrictEqual(Array.from({ length: 100 }, () => second()), sequence);
+	assert.notDeepStrictEqual(Array.from({ length: 100 }, () => other()), sequence);
+	assert.ok(sequence.every(value => value >= 0 && value < 1));
+});
+
+test('simulateVisit replays the same visit for the debug seed', () => {
+	var context = {
+		seed: debugSeed,
+		dwellModel: { mu: Math.log(90), sigma: 0.2 }
+	};
+
+	var first = recordVisit(context);
+	var second = recordVisit(context);
+
+	assert.ok(first.done);
+	assert.ok(first.actions.some(action => action.startsWith('scroll')));
+	assert.ok(first.actions.some(action => action.startsWith('mousemove')));
+	assert.deepStrictEqual(second, first);
+});
+
+test('simulateVisit keeps the dwell time within its bounds and visits until it is over', () => {
+	var window = loadPage('<!DOCTYPE html><html><body></body></html>', interactionScripts);
+	var bounds = getGlobal(window, 'dwellBounds');
+
+	for (const mu of [Math.log(1), Math.log(15), Math.log(1000)]) {
+		var visit = recordVisit({ seed: debugSeed, dwellModel: { mu: mu, sigma: 0.5 } });
+
+		assert.ok(visit.dwellTime >= bounds[0] && visit.dwellTime <= bounds[1]);
+		assert.ok(visit.duration >= visit.dwellTime);
+	}
+});
+
+test('simulateVisit behaves differently for another seed', () => {
+	var first = recordVisit({ seed: debugSeed });
+	var other = recordVisit({ seed: debugSeed + 1 });
+
+	assert.notDeepStrictEqual(other.actions, first.actions);
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * @module test - interestProfile
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+/**
+ * Loads the interest profile with the uniform flattening target and a given maximum of visits.
+ *
+ * @param {number} maxVisits The number of visits of the most visited site.
+ */
+function loadInterestProfile(maxVisits) {
+	return loadScripts(['javascripts/background/interestProfile.js'], {
+		maxVisits: maxVisits,
+		flatteningTarget: 'uniform',
+		getActivePersona: () => undefined
+	});
+}
+
+/**
+ * Sums up the planned visits of every site.
+ *
+ * @param {Object} planned The number of decoy visits of every site (url as key).
+ */
+function sumVisits(planned) {
+	return Object.values(planned).reduce((sum, count) => sum + count, 0);
+}
+
+test('visits every site as often as the most visited site', () => {
+	var context = loadInterestProfile(5);
+	var planned = context.planEqualVisits([
+		{ url: 'https://a.com/', visits: 5, category: 'news' },
+		{ url: 'https://b.com/', visits: 2, category: 'news' },
+		{ url: 'https://c.com/', visits: 0, category: 'sports' }
+	]);
+
+	assert.deepStrictEqual(Object.assign({}, planned), {
+		'https://a.com/': 0,
+		'https://b.com/': 3,
+		'https://c.com/': 5
+	});
+});
+
+test('fills the categories up to their target share and the least visited sites first', () => {
+	var context = loadInterestProfile(10);
+	var sites = [
+		{ url: 'https://news.com/', visits: 10, category: 'news' },
+		{ url: 'https://a.com/', visits: 1, category: 'sports' },
+		{ url: 'https://b.com/', visits: 1, category: 'sports' },
+		{ url: 'https://c.com/', visits: 2, category: 'sports' }
+	];
+	var planned = context.planTargetVisits(sites, { news: 10, sports: 4 });
+
+	assert.strictEqual(planned['https://news.com/'], 0);
+	assert.strictEqual(sumVisits(planned), 6); // Both categories end up with 10 visits
+	// The sports sites end up with 4, 3 and 3 visits
+	assert.deepStrictEqual([planned['https://a.com/'], planned['https://b.com/'], planned['https://c.com/']],
+		[3, 2, 1]);
+});
+
+test('gives no visits to categories above their target share', () => {
+	var context = loadInterestProfile(10);
+	var sites = [
+		{ url: 'https://news.com/', visits: 10, category: 'news' },
+		{ url: 'https://other.com/', visits: 8, category: 'news' },
+		{ url: 'https://sports.com/', visits: 9, category: 'sports' }
+	];
+	var planned = context.planTargetVisits(sites, { news: 18, sports: 9 });
+
+	assert.strictEqual(planned['https://other.com/'], 0);
+	assert.strictEqual(planned['https://sports.com/'], 1); // As far as its only site allows it
+});
+
+test('plans large histories without exceeding the maximum of visits', () => {
+	var context = loadInterestProfile(1000);
+	var categories = ['news', 'sports', 'travel', 'food', 'tech'];
+	var sites = [], counts = {};
+
+	for (var i = 0; i < 5000; i++) {
+		var site = {
+			url: `https://site${i}.com/`,
+			visits: 1 + (i * 7919) % 1000,
+			category: categories[i % 7 % 5]
+		};
+		sites.push(site);
+		counts[site.category] = (counts[site.category] || 0) + site.visits;
+	}
+
+	var planned = context.planTargetVisits(sites, counts);
+
+	for (const site of sites) {
+		assert.ok(planned[site.url] >= 0 && site.visits + planned[site.url] <= 1000);
+	}
+});
+
+test('queues an url again as long as further visits are planned', () => {
+	var context = loadInterestProfile(3);
+	context.plannedVisits = { 'https://a.com/': 2 };
+
+	assert.strictEqual(context.takePlannedVisit('https://a.com/'), true);
+	assert.strictEqual(context.takePlannedVisit('https://a.com/'), false);
+	assert.strictEqual(context.takePlannedVisit('https://a.com/'), false);
+	assert.strictEqual(context.takePlannedVisit('https://b.com/'), false);
+});
\ No newline at end of file
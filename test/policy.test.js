@@ -0,0 +1,129 @@
+/**
+ * @module test - policy
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, getGlobal, readData } = require('./helpers/browser');
+
+/**
+ * Loads the policy with the given rules.
+ *
+ * @param {Object[]} rules The rules of the policy.
+ */
+function loadPolicyRules(rules) {
+	var context = loadScripts(['javascripts/background/policy.js'], {
+		data: readData(),
+		logStatus: () => {}
+	});
+
+	context.policyRules = rules;
+	return context;
+}
+
+/**
+ * Loads the policy with its default rules and a deny rule for a given domain.
+ *
+ * @param {string} domain The domain to deny.
+ */
+function loadPolicy(domain) {
+	var context = loadPolicyRules([]);
+
+	context.policyRules = getGlobal(context, 'defaultPolicyRules').concat([
+		{ action: 'deny', type: 'glob', value: domain }
+	]);
+	return context;
+}
+
+test('blocks urls which match a deny rule', () => {
+	var context = loadPolicy('example.com');
+
+	assert.notStrictEqual(context.findBlockingRule('https://www.example.com/path?q=1'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('https://mybank.com/'), undefined);
+	assert.strictEqual(context.findBlockingRule('https://www.example.org/'), undefined);
+});
+
+test('checks hostnames like the start page of the site', () => {
+	var context = loadPolicy('example.com');
+
+	assert.notStrictEqual(context.findBlockingRule('www.example.com'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('www.mybank.com'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('localhost'), undefined);
+	assert.strictEqual(context.findBlockingRule('www.example.org'), undefined);
+	assert.strictEqual(context.passesPolicy('www.example.com'), false);
+	assert.strictEqual(context.passesPolicy('www.example.org'), true);
+});
+
+test('blocks everything which can not be checked', () => {
+	var context = loadPolicy('example.com');
+
+	for (const url of ['not a host', 'exa mple.com', undefined, null, 42]) {
+		assert.notStrictEqual(context.findBlockingRule(url), undefined, `${url} is blocked`);
+		assert.strictEqual(context.passesPolicy(url), false);
+	}
+});
+test('matches IPv4 ranges in CIDR notation', () => {
+	var context = loadPolicyRules([{ action: 'deny', type: 'ip', value: '192.168.0.0/16' }]);
+
+	assert.notStrictEqual(context.findBlockingRule('http://192.168.1.20/'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('http://192.168.255.255:8080/'), undefined);
+	assert.strictEqual(context.findBlockingRule('http://192.169.0.1/'), undefined);
+	assert.strictEqual(context.findBlockingRule('https://www.example.com/'), undefined);
+	assert.strictEqual(context.matchesIpRange('10.0.0.1', '10.0.0.1'), true);
+	assert.strictEqual(context.matchesIpRange('10.0.0.1', '10.0.0.2'), false);
+});
+
+test('rejects invalid IP ranges', () => {
+	var context = loadPolicyRules([]);
+
+	for (const range of ['10.0.0.0/', '10.0.0.0/33', '10.0.0.0/a', '10.0.0.0/-1', '10.0.0.0/8/8', '10.0.0/8',
+		'256.0.0.0/8']) {
+		assert.strictEqual(context.parseIpRange(range), null, `${range} is invalid`);
+		assert.notStrictEqual(context.validatePolicyRule({ action: 'deny', type: 'ip', value: range }), '');
+		assert.strictEqual(context.matchesIpRange(range, '10.0.0.1'), false);
+	}
+	assert.strictEqual(context.validatePolicyRule({ action: 'deny', type: 'ip', value: '10.0.0.0/8' }), '');
+});
+
+test('matches regular expressions against the whole url', () => {
+	var context = loadPolicyRules([{ action: 'deny', type: 'regex', value: '/admin(/|$)' }]);
+
+	assert.notStrictEqual(context.findBlockingRule('https://www.example.com/admin/users'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('https://www.example.com/ADMIN'), undefined);
+	assert.strictEqual(context.findBlockingRule('https://www.example.com/administration'), undefined);
+	assert.notStrictEqual(context.validatePolicyRule({ action: 'deny', type: 'regex', value: '(' }), '');
+});
+
+test('lets allow rules override deny rules and categories', () => {
+	var context = loadPolicyRules([
+		{ action: 'deny', type: 'category', value: 'privateNetwork' },
+		{ action: 'deny', type: 'glob', value: 'example.com' },
+		{ action: 'allow', type: 'glob', value: 'printer.local' },
+		{ action: 'allow', type: 'ip', value: '192.168.0.10' },
+		{ action: 'allow', type: 'glob', value: 'www.example.com' }
+	]);
+
+	assert.strictEqual(context.findBlockingRule('http://printer.local/'), undefined);
+	assert.strictEqual(context.findBlockingRule('http://192.168.0.10/'), undefined);
+	assert.strictEqual(context.findBlockingRule('https://www.example.com/'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('http://nas.local/'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('http://192.168.0.11/'), undefined);
+	assert.notStrictEqual(context.findBlockingRule('https://shop.example.com/'), undefined);
+});
+
+test('blocks private networks and intranets with the category', () => {
+	var context = loadPolicyRules([{ action: 'deny', type: 'category', value: 'privateNetwork' }]);
+
+	for (const url of ['http://10.1.2.3/', 'http://172.16.0.1/', 'http://172.31.255.255/',
+		'http://192.168.0.1/', 'http://127.0.0.1:8080/', 'http://169.254.1.1/', 'http://[::1]/',
+		'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[::ffff:c0a8:101]/', 'http://intranet/',
+		'http://wiki:8080/page', 'http://localhost/', 'http://nas.local/']) {
+		assert.notStrictEqual(context.findBlockingRule(url), undefined, `${url} is blocked`);
+	}
+
+	for (const url of ['https://www.example.com/', 'http://172.32.0.1/', 'http://8.8.8.8/',
+		'http://[2001:db8::1]/', 'http://[::ffff:8.8.8.8]/']) {
+		assert.strictEqual(context.findBlockingRule(url), undefined, `${url} is not blocked`);
+	}
+});
\ No newline at end of file
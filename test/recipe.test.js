@@ -0,0 +1,175 @@
+/**
+ * @module test - recipe
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, readFile } = require('./helpers/browser');
+
+/**
+ * Defines the content scripts which are needed to execute a recipe.
+ */
+const recipeScripts = [
+	'javascripts/content/strategy.js',
+	'javascripts/content/consent.js',
+	'javascripts/content/interaction.js',
+	'javascripts/content/typing.js',
+	'javascripts/content/recipe.js'
+];
+
+/**
+ * Defines the background scripts which load, validate and import recipes.
+ */
+const backgroundRecipeScripts = [
+	'javascripts/background/util.js',
+	'javascripts/background/recipe.js'
+];
+
+/**
+ * Loads the background scripts of recipes with a storage which holds the imported recipes and a
+ * given response to the request of the bundled recipes.
+ *
+ * @param {Promise} bundled The response to the request of the bundled recipes.
+ */
+function loadRecipeBackground(bundled) {
+	var storage = {};
+
+	return loadPage('<!DOCTYPE html><html><body></body></html>', backgroundRecipeScripts, {
+		debug: false,
+		fetch: () => bundled,
+		chrome: {
+			storage: {
+				local: {
+					get: (key, callback) => callback({ [key]: storage[key] }),
+					set: (items, callback) => {
+						Object.assign(storage, items);
+						typeof callback === 'function' && callback();
+					}
+				}
+			}
+		}
+	});
+}
+
+/**
+ * Loads the bundled recipes and waits until the callback of loadRecipes has been called.
+ *
+ * @param {Object} window The window of the background page (see loadRecipeBackground).
+ */
+function loadRecipesOf(window) {
+	return new Promise(resolve => window.loadRecipes(resolve));
+}
+
+/**
+ * Defines a page whose search box is a div instead of an input field.
+ */
+const divSearchPage = `<!DOCTYPE html>
+<html>
+<body>
+	<div class="search-box" contenteditable="true"></div>
+	<button class="search-button">Search</button>
+</body>
+</html>`;
+
+test('a type step fails cleanly if the element is no input field', () => {
+	var window = loadPage(divSearchPage, recipeScripts);
+	var results = [];
+
+	window.executeRecipeStep({ action: 'type', selector: '.search-box' }, 'term', Math.random,
+		success => results.push(success));
+
+	assert.deepStrictEqual(results, [false]);
+});
+
+test('a recipe with a type step on no input field reports the failed step', () => {
+	var window = loadPage(divSearchPage, recipeScripts);
+	var errors = [];
+	var recipe = {
+		steps: [
+			{ action: 'type', selector: '.search-box' },
+			{ action: 'click', selector: '.search-button' }
+		]
+	};
+
+	window.runRecipe(recipe, 'term', Math.random, () => assert.fail('Nothing has been typed'),
+		error => errors.push(error));
+
+	assert.strictEqual(errors.length, 1);
+	assert.match(errors[0], /^Step 1 \(type\) failed/);
+});
+test('keeps the valid bundled recipes if some of them are invalid', async () => {
+	var bundled = JSON.parse(readFile('data/recipes.json'));
+	bundled['www.broken.com'] = { steps: [{ action: 'type', selector: '##' }] };
+	var window = loadRecipeBackground(Promise.resolve({ json: () => bundled }));
+
+	await loadRecipesOf(window);
+
+	assert.strictEqual(window.getRecipe('https://www.broken.com/'), undefined);
+	assert.notStrictEqual(window.getRecipe('https://www.amazon.com/'), undefined);
+	assert.strictEqual(Object.keys(window.bundledRecipes).length, Object.keys(bundled).length - 1);
+});
+
+test('calls the callback even if the bundled recipes can not be loaded', async () => {
+	var window = loadRecipeBackground(Promise.resolve({ json: () => Promise.reject(new SyntaxError('x')) }));
+
+	await loadRecipesOf(window);
+
+	assert.deepStrictEqual(Object.keys(window.bundledRecipes), []);
+	assert.strictEqual(window.getRecipe('https://www.amazon.com/'), undefined);
+});
+test('accepts well-formed selectors only', () => {
+	var window = loadRecipeBackground(Promise.resolve({ json: () => ({}) }));
+
+	assert.strictEqual(window.isValidSelector('#search input[name=q]'), true);
+	for (const selector of ['', '   ', '##', 'input[name=', 'div >']) {
+		assert.strictEqual(window.isValidSelector(selector), false, `${selector} is invalid`);
+	}
+});
+
+test('rejects malformed recipes with an error message for every problem', () => {
+	var window = loadRecipeBackground(Promise.resolve({ json: () => ({}) }));
+	var validate = recipe => Array.from(window.validateRecipe(recipe));
+
+	assert.deepStrictEqual(validate({ steps: [{ action: 'type', selector: '#q' }] }), []);
+	assert.strictEqual(validate({ steps: [{ action: 'type', selector: 'input[' }] }).length, 1);
+	assert.match(validate({ steps: [{ action: 'scroll', selector: '#q' }] })[0], /Unknown action/);
+	assert.match(validate({ steps: [{ action: 'type' }] })[0], /Missing or invalid selector/);
+	assert.match(validate({
+		steps: [{ action: 'type', selector: '#q' }, { action: 'pressKey', selector: '#q' }]
+	})[0], /Unknown key/);
+	assert.match(validate({ steps: [{ action: 'click', selector: '#go' }] })[0], /at least one type step/);
+	assert.match(validate({})[0], /non-empty array of steps/);
+	assert.match(validate(null)[0], /non-empty array of steps/);
+});
+
+test('rejects recipes which are no object of hostnames', () => {
+	var window = loadRecipeBackground(Promise.resolve({ json: () => ({}) }));
+	var recipe = { steps: [{ action: 'type', selector: '#q' }] };
+
+	assert.strictEqual(window.validateRecipes([recipe]).length, 1);
+	assert.strictEqual(window.validateRecipes(null).length, 1);
+	assert.match(window.validateRecipes({ 'not a host': recipe })[0], /not a valid hostname/);
+	assert.strictEqual(window.validateRecipes({ 'www.example.com': recipe }).length, 0);
+});
+
+test('imports nothing if any of the recipes is invalid', async () => {
+	var window = loadRecipeBackground(Promise.resolve({ json: () => ({}) }));
+	await loadRecipesOf(window);
+
+	var errors = await new Promise(resolve => window.importRecipes({
+		'www.example.com': { steps: [{ action: 'type', selector: '#q' }] },
+		'www.example.org': { steps: [{ action: 'type', selector: '#q' }, { action: 'jump', selector: 'a' }] }
+	}, resolve));
+
+	assert.strictEqual(errors.length, 1);
+	assert.match(errors[0], /^www\.example\.org: Step 2: Unknown action/);
+	assert.strictEqual(window.getRecipe('https://www.example.com/'), undefined);
+
+	errors = await new Promise(resolve => window.importRecipes({
+		'example.com': { steps: [{ action: 'type', selector: '#q' }] }
+	}, resolve));
+
+	assert.deepStrictEqual(Array.from(errors), []);
+	assert.notStrictEqual(window.getRecipe('https://www.example.com/'), undefined);
+});
\ No newline at end of file
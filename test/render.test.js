@@ -0,0 +1,128 @@
+/**
+ * @module test - render
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers/browser');
+
+/**
+ * Loads an empty page together with the render script.
+ */
+function loadRenderPage() {
+	return loadPage('<!DOCTYPE html><html><body><div id="target"></div></body></html>',
+		['javascripts/pages/render.js']);
+}
+
+/**
+ * Inserts markup into the page like the pages do and returns the element which contains it.
+ *
+ * @param {Object} window The window of the page.
+ * @param {string} markup The markup to insert.
+ */
+function insertMarkup(window, markup) {
+	var target = window.document.getElementById('target');
+	target.innerHTML = markup;
+	return target;
+}
+
+/**
+ * Defines values which try to break out of the markup they get inserted into.
+ */
+const hostileValues = [
+	'<script>alert(1)</script>',
+	'<img src=x onerror="alert(1)">',
+	'" onmouseover="alert(1)',
+	'\' onmouseover=\'alert(1)',
+	'`${alert(1)}`',
+	'</textarea><svg onload=alert(1)>',
+	'&lt;script&gt;'
+];
+
+test('escapeHtml escapes every character which has a meaning in markup', () => {
+	var window = loadRenderPage();
+
+	assert.strictEqual(window.escapeHtml('<a href="x" title=\'y\'>`&`</a>'),
+		'&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&#96;&amp;&#96;&lt;/a&gt;');
+	assert.strictEqual(window.escapeHtml(undefined), '');
+	assert.strictEqual(window.escapeHtml(null), '');
+	assert.strictEqual(window.escapeHtml(0), '0');
+});
+
+for (const value of hostileValues) {
+	test(`html inserts ${JSON.stringify(value)} as text and attribute value only`, () => {
+		var window = loadRenderPage();
+		var target = insertMarkup(window, window.html`<span title="${value}">${value}</span>
+			<input type="text" value='${value}'>`);
+
+		var span = target.querySelector('span');
+		var input = target.querySelector('input');
+		assert.strictEqual(target.querySelectorAll('script, img, svg').length, 0);
+		assert.strictEqual(span.textContent, value);
+		assert.deepStrictEqual(span.getAttributeNames(), ['title']);
+		assert.strictEqual(span.getAttribute('title'), value);
+		assert.deepStrictEqual(input.getAttributeNames(), ['type', 'value']);
+		assert.strictEqual(input.getAttribute('value'), value);
+	});
+}
+
+test('html inserts trusted markup without escaping', () => {
+	var window = loadRenderPage();
+	var markup = window.html`<p>${window.trustHtml('<b>bold</b>')}</p>`;
+
+	assert.strictEqual(markup, '<p><b>bold</b></p>');
+});
+
+test('html escapes untrusted values in arrays which mix trusted and untrusted values', () => {
+	var window = loadRenderPage();
+	var items = ['<script>alert(1)</script>', window.trustHtml('<li>trusted</li>'), '<li>untrusted</li>'];
+	var target = insertMarkup(window, window.html`<ul>${items}</ul>`);
+
+	assert.strictEqual(target.querySelectorAll('script').length, 0);
+	assert.strictEqual(target.querySelectorAll('li').length, 1);
+	assert.strictEqual(target.querySelector('li').textContent, 'trusted');
+	assert.match(target.textContent, /<script>alert\(1\)<\/script>/);
+	assert.match(target.textContent, /<li>untrusted<\/li>/);
+});
+
+test('html does not trust objects which only pretend to be trusted', () => {
+	var window = loadRenderPage();
+	var markup = window.html`<p>${{ trustedHtml: ['<script>alert(1)</script>'] }}</p>`;
+
+	assert.ok(!markup.includes('<script>'));
+});
+
+test('isSafeUrl only accepts absolute http and https urls', () => {
+	var window = loadRenderPage();
+
+	assert.strictEqual(window.isSafeUrl('https://www.example.com/?q=a"b'), true);
+	assert.strictEqual(window.isSafeUrl('http://example.com'), true);
+
+	for (const url of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', ' javascript:alert(1)',
+		'java\tscript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)',
+		'/relative/path', '//example.com', '', undefined, null]) {
+		assert.strictEqual(window.isSafeUrl(url), false, `${url} is not safe`);
+	}
+});
+
+test('renderLink renders safe urls as links and everything else as text', () => {
+	var window = loadRenderPage();
+	var url = 'https://www.example.com/?q="><script>alert(1)</script>';
+	var target = insertMarkup(window, window.html`${window.renderLink(url)}`);
+	var link = target.querySelector('a');
+
+	assert.strictEqual(target.querySelectorAll('script').length, 0);
+	assert.deepStrictEqual(link.getAttributeNames(), ['href', 'target', 'rel']);
+	assert.strictEqual(link.getAttribute('href'), url);
+	assert.strictEqual(link.textContent, url);
+
+	for (const unsafe of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'data:text/html,<b>x</b>']) {
+		target = insertMarkup(window, window.html`${window.renderLink(unsafe)}`);
+		assert.strictEqual(target.querySelectorAll('a, b').length, 0);
+		assert.strictEqual(target.textContent, unsafe);
+	}
+
+	assert.strictEqual(window.html`${window.renderLink('')}`, '&ndash;');
+	assert.strictEqual(window.html`${window.renderLink(undefined)}`, '&ndash;');
+});
\ No newline at end of file
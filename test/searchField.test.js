@@ -0,0 +1,115 @@
+/**
+ * @module test - searchField
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadFixture, readData } = require('./helpers/browser');
+
+/**
+ * Defines the content scripts which are needed to detect search fields.
+ */
+const searchFieldScripts = [
+	'javascripts/content/strategy.js',
+	'javascripts/content/consent.js',
+	'javascripts/content/typing.js',
+	'javascripts/content/searchField.js',
+	'javascripts/content/search.js'
+];
+
+/**
+ * Holds the content of the data.json file.
+ */
+const data = readData();
+
+/**
+ * Loads a saved page of the fixtures together with the content scripts.
+ *
+ * @param {string} fixture The file name of the fixture.
+ */
+function loadSearchPage(fixture) {
+	return loadFixture(`searchField/${fixture}`, searchFieldScripts, { data: data });
+}
+
+/**
+ * Defines the saved pages which contain a search field and the search field which has to win.
+ */
+const positivePages = {
+	'news-site.html': 'input[name=q]',
+	'shop-german.html': '#kw',
+	'login-and-search.html': '#topic'
+};
+
+/**
+ * Defines the saved pages which contain no usable search field.
+ */
+const negativePages = ['login-only.html', 'contact-form.html', 'hidden-search.html'];
+
+test('the threshold is a confidence between 0 and 1', () => {
+	assert.ok(data.searchFieldMinConfidence > 0 && data.searchFieldMinConfidence < 1);
+});
+
+for (const fixture of Object.keys(positivePages)) {
+	test(`finds the search field on ${fixture}`, () => {
+		var window = loadSearchPage(fixture);
+		var expected = window.document.querySelector(positivePages[fixture]);
+		var candidates = window.getSearchFieldCandidates();
+
+		assert.strictEqual(candidates[0].field, expected);
+		assert.ok(candidates[0].confidence >= data.searchFieldMinConfidence);
+		assert.strictEqual(window.detectSearchField().field, expected);
+		assert.strictEqual(window.getSearchInputField(), expected);
+	});
+}
+
+for (const fixture of negativePages) {
+	test(`finds no search field on ${fixture}`, () => {
+		var window = loadSearchPage(fixture);
+		var candidates = window.getSearchFieldCandidates();
+
+		assert.ok(candidates.every(candidate => candidate.confidence < data.searchFieldMinConfidence));
+		assert.strictEqual(window.detectSearchField(), null);
+		assert.strictEqual(window.getSearchInputField(), null);
+	});
+}
+
+test('ranks the candidates by their score and derives the confidence from it', () => {
+	var window = loadSearchPage('news-site.html');
+	var candidates = window.getSearchFieldCandidates();
+
+	assert.strictEqual(candidates.length, 2);
+	assert.ok(candidates[0].score > candidates[1].score);
+
+	for (const candidate of candidates) {
+		assert.strictEqual(candidate.score, window.scoreSearchField(candidate.field));
+		assert.ok(candidate.confidence > 0 && candidate.confidence < 1);
+	}
+});
+
+test('scores fields with search features higher than fields with login features', () => {
+	var window = loadSearchPage('login-and-search.html');
+
+	var search = window.scoreSearchField(window.document.querySelector('#topic'));
+	var username = window.scoreSearchField(window.document.querySelector('#user'));
+
+	assert.ok(search > 0);
+	assert.ok(username < 0);
+});
+
+test('ignores hidden and disabled fields', () => {
+	var window = loadSearchPage('hidden-search.html');
+
+	assert.strictEqual(window.getSearchFieldCandidates().length, 0);
+});
+
+test('rejects the best candidate if its confidence is below the threshold', () => {
+	var window = loadSearchPage('shop-german.html');
+	var confidence = window.getSearchFieldCandidates()[0].confidence;
+
+	window.data = Object.assign({}, data, { searchFieldMinConfidence: confidence + 0.01 });
+	assert.strictEqual(window.detectSearchField(), null);
+
+	window.data = Object.assign({}, data, { searchFieldMinConfidence: confidence });
+	assert.notStrictEqual(window.detectSearchField(), null);
+});
\ No newline at end of file
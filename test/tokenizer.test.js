@@ -0,0 +1,53 @@
+/**
+ * @module test - tokenizer
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/browser');
+
+/**
+ * Loads the tokenizer for a browser with a given language.
+ *
+ * @param {string} language The language of the browser.
+ */
+function loadTokenizer(language) {
+	return loadScripts(['javascripts/background/tokenizer.js'], {
+		navigator: { language: language }
+	});
+}
+
+test('detects the locale of a term from its script', () => {
+	var context = loadTokenizer('en-US');
+
+	assert.strictEqual(context.detectLocale('cheap flights'), 'en-US');
+	assert.strictEqual(context.detectLocale('東京の天気'), 'ja');
+	assert.strictEqual(context.detectLocale('北京天气'), 'zh');
+	assert.strictEqual(context.detectLocale('서울 날씨'), 'ko');
+	assert.strictEqual(context.detectLocale('погода в москве'), 'ru');
+	assert.strictEqual(context.detectLocale('ılık su'), 'tr');
+});
+
+test('prefers the language of the browser if it fits the script of the term', () => {
+	assert.strictEqual(loadTokenizer('uk-UA').detectLocale('погода в києві'), 'uk-UA');
+	assert.strictEqual(loadTokenizer('ja-JP').detectLocale('天気'), 'ja-JP');
+	assert.strictEqual(loadTokenizer('de-DE').detectLocale('天気'), 'zh');
+});
+
+test('splits terms without spaces into words', () => {
+	var context = loadTokenizer('en-US');
+
+	assert.ok(context.countWords('東京の天気') > 1);
+	assert.deepStrictEqual(Array.from(context.tokenize('cheap flights\tberlin')),
+		['cheap', 'flights', 'berlin']);
+});
+
+test('normalizes a term by its own locale rather than the one of the browser', () => {
+	var context = loadTokenizer('en-US');
+
+	assert.strictEqual(context.normalizeTerm('KIŞ ılık'), 'kıs ılık'); // Dotless i in Turkish
+	assert.strictEqual(context.normalizeTerm('KIS'), 'kis');
+	assert.strictEqual(context.normalizeTerm('Crème BRÛLÉE'), 'creme brulee');
+	assert.deepStrictEqual(Array.from(context.normalizeWords('Über Straße')), ['uber', 'straße']);
+});
\ No newline at end of file
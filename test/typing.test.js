@@ -0,0 +1,55 @@
+/**
+ * @module test - typing
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, installVirtualClock } = require('./helpers/browser');
+
+/**
+ * Defines the scripts which are needed to submit a search.
+ */
+const typingScripts = [
+	'lib/jquery.min.js',
+	'javascripts/content/strategy.js',
+	'javascripts/content/consent.js',
+	'javascripts/content/typing.js'
+];
+
+/**
+ * Submits the search in the field of a page and returns what the callback got (or undefined, if
+ * it has not been called) together with the number of calls.
+ *
+ * @param {string} markup The markup of the page.
+ * @param {function} [prepare] Optional function which gets the window before the search.
+ */
+function submitOnPage(markup, prepare) {
+	var window = loadPage(markup, typingScripts);
+	var runTimers = installVirtualClock(window);
+	var calls = [];
+
+	typeof prepare === 'function' && prepare(window);
+	window.submitSearch(window.document.querySelector('input'), changed => calls.push(changed));
+	runTimers();
+
+	return calls;
+}
+
+test('gives up after the last attempt if the search can not be submitted', () => {
+	var calls = submitOnPage('<!DOCTYPE html><html><body><div><input type="text"></div></body></html>');
+
+	assert.deepStrictEqual(calls, [false]);
+});
+
+test('notices a search which changes the url within the page', () => {
+	var calls = submitOnPage(`<!DOCTYPE html><html><body>
+		<div><input type="text"><button type="button">Search</button></div>
+	</body></html>`, window => {
+		window.document.querySelector('button').addEventListener('click', () => {
+			window.history.pushState({}, '', '/search?q=term');
+		});
+	});
+
+	assert.deepStrictEqual(calls, [true]);
+});
\ No newline at end of file